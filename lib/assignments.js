@@ -0,0 +1,100 @@
+// lib/assignments.js
+// Self-paced "homework" quizzes: a quiz published with a deadline that players take on their
+// own, one solo game each. Every attempt is stored with the assignment so the host can see a
+// combined leaderboard and results afterwards.
+const fs = require('fs/promises');
+const path = require('path');
+
+const ASSIGNMENTS_DIR = process.env.ASSIGNMENTS_DIR || path.join(__dirname, '..', 'data', 'assignments');
+const ASSIGNMENT_ID_PATTERN = /^[a-z0-9]+$/;
+
+const assignmentPath = id => path.join(ASSIGNMENTS_DIR, `${id}.json`);
+
+// Loaded assignments are kept so every attempt updates the same object
+const cache = new Map();
+// Last write per assignment, so writes to the same file never overlap
+const writes = new Map();
+
+// Load an assignment by id, or null if it does not exist
+async function loadAssignment(id) {
+  if (!ASSIGNMENT_ID_PATTERN.test(id)) return null;
+  if (cache.has(id)) return cache.get(id);
+  let assignment;
+  try {
+    assignment = JSON.parse(await fs.readFile(assignmentPath(id), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  // Another call may have loaded it while this one was reading
+  if (!cache.has(id)) cache.set(id, assignment);
+  return cache.get(id);
+}
+
+// Write an assignment (creates or replaces it)
+function saveAssignment(assignment) {
+  cache.set(assignment.id, assignment);
+  const data = JSON.stringify(assignment, null, 2);
+  const write = (writes.get(assignment.id) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(ASSIGNMENTS_DIR, { recursive: true });
+      await fs.writeFile(assignmentPath(assignment.id), data);
+    });
+  writes.set(assignment.id, write);
+  return write;
+}
+
+// Whether new attempts can still be started
+function isOpen(assignment, now = Date.now()) {
+  return now < Date.parse(assignment.deadline);
+}
+
+// Combine every attempt into one report shaped like a game report (see results.buildGameReport),
+// so it can be downloaded the same way. Questions are listed in quiz order; each player's
+// questions were shuffled in their own game, so answers are matched by question id.
+function buildAssignmentReport(assignment) {
+  const seen = new Map();
+  for (const attempt of assignment.attempts) {
+    for (const q of attempt.questions || []) seen.set(q.id, q);
+  }
+  const questions = assignment.quiz.questions
+    .filter(q => seen.has(q.id))
+    .map((q, index) => ({ ...seen.get(q.id), index }));
+
+  const players = assignment.attempts.map(attempt => {
+    const answers = questions.map(q => (attempt.answers || []).find(a => a.questionId === q.id) ||
+      { questionId: q.id, answer: '', correct: false, points: 0, timeMs: null });
+    return {
+      id: attempt.id,
+      name: attempt.name,
+      team: null,
+      score: attempt.score,
+      finished: !!attempt.finishedAt,
+      startedAt: attempt.startedAt,
+      finishedAt: attempt.finishedAt,
+      answers,
+      correctCount: answers.filter(a => a.correct).length
+    };
+  }).sort((a, b) => b.score - a.score);
+  players.forEach((p, i) => { p.rank = i + 1; });
+
+  return {
+    id: assignment.id,
+    gameId: assignment.id,
+    title: assignment.title,
+    startedAt: assignment.createdAt,
+    endedAt: assignment.deadline,
+    deadline: assignment.deadline,
+    questions,
+    players
+  };
+}
+
+module.exports = {
+  ASSIGNMENT_ID_PATTERN,
+  loadAssignment,
+  saveAssignment,
+  isOpen,
+  buildAssignmentReport
+};
@@ -0,0 +1,262 @@
+// lib/importers.js
+// Converts quizzes written as CSV (including Kahoot spreadsheet exports saved as CSV) or
+// Markdown/plain text into the quiz JSON the server uses. importQuiz returns
+// {quiz, warnings}; the quiz still has to pass validateQuiz before a game is created.
+const path = require('path');
+const { MIN_TIME_LIMIT_SECONDS, MAX_TIME_LIMIT_SECONDS } = require('./validation');
+
+const IMPORT_FORMATS = ['json', 'csv', 'markdown'];
+const MAX_HEADER_SEARCH_ROWS = 10; // Kahoot sheets have a few title rows above the header
+
+// Friendly names for question types, as typed in a spreadsheet or Markdown file
+const TYPE_ALIASES = {
+  multiple: 'multiple', quiz: 'multiple', choice: 'multiple', multiplechoice: 'multiple',
+  multiselect: 'multiselect', selectall: 'multiselect',
+  truefalse: 'truefalse', tf: 'truefalse',
+  text: 'text', typeanswer: 'text',
+  numeric: 'numeric', number: 'numeric',
+  order: 'order', puzzle: 'order'
+};
+
+const optionId = i => String.fromCharCode(97 + i);
+
+// Pick the CSV delimiter from the first line: comma, semicolon (European Excel) or tab
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Split CSV text into rows of trimmed fields, handling quotes, "" escapes and line breaks in quotes
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.map(r => r.map(f => f.trim())).filter(r => r.some(Boolean));
+}
+
+// Time limit cell or line, clamped to what the server allows
+function parseTimeLimit(value, where, warnings) {
+  if (!value) return undefined;
+  const seconds = Number(String(value).replace(/s(ec(onds?)?)?$/i, '').trim());
+  if (!Number.isFinite(seconds)) {
+    warnings.push(`${where}: ignored time limit "${value}"`);
+    return undefined;
+  }
+  const clamped = Math.max(MIN_TIME_LIMIT_SECONDS, Math.min(MAX_TIME_LIMIT_SECONDS, seconds));
+  if (clamped !== seconds) warnings.push(`${where}: time limit ${seconds}s changed to ${clamped}s`);
+  return clamped;
+}
+
+function parseType(value) {
+  if (!value) return null;
+  const key = value.toLowerCase().replace(/[^a-z]/g, '');
+  return TYPE_ALIASES[key] || value;
+}
+
+// Build one question from the fields every format produces.
+// correct holds option numbers (1-based) or labels for choice questions, otherwise the answer(s).
+function buildQuestion(fields, index, where, warnings) {
+  const q = { id: `q${index + 1}`, text: fields.text };
+  const type = parseType(fields.type);
+  if (type) q.type = type;
+  if (fields.image) q.imageUrl = fields.image;
+  const time = parseTimeLimit(fields.time, where, warnings);
+  if (time) q.timeLimitSeconds = time;
+
+  if (fields.options.length) {
+    q.options = fields.options.map((label, i) => ({ id: optionId(i), label }));
+    if (type === 'order') return q;
+    q.correctOptionIds = [];
+    for (const token of fields.correct) {
+      const n = /^\d+$/.test(token) ? Number(token) : NaN;
+      const match = n >= 1 && n <= q.options.length
+        ? q.options[n - 1]
+        : q.options.find(o => o.label.toLowerCase() === token.toLowerCase());
+      if (match) q.correctOptionIds.push(match.id);
+      else warnings.push(`${where}: correct answer "${token}" does not match any option`);
+    }
+    if (!type) q.type = q.correctOptionIds.length > 1 ? 'multiselect' : 'multiple';
+    return q;
+  }
+
+  const first = fields.correct[0] || '';
+  if (type === 'truefalse' || (!type && /^(true|false)$/i.test(first))) {
+    q.type = 'truefalse';
+    if (/^(true|false)$/i.test(first)) q.answer = first.toLowerCase() === 'true';
+  } else if (type === 'numeric' || (!type && first !== '' && Number.isFinite(Number(first)))) {
+    q.type = 'numeric';
+    if (first !== '') q.answer = Number(first);
+    if (fields.tolerance) q.tolerance = Number(fields.tolerance);
+  } else {
+    if (!type) q.type = 'text';
+    q.acceptedAnswers = fields.correct;
+  }
+  return q;
+}
+
+// Split a cell listing several values; "1,3" style option numbers may also use commas
+function splitList(value, allowCommas) {
+  if (!value) return [];
+  const separators = allowCommas && /^\d+(\s*[,;|]\s*\d+)*$/.test(value) ? /[,;|]/ : /[|;]/;
+  return value.split(separators).map(s => s.trim()).filter(Boolean);
+}
+
+// CSV with a header row: question, type, option 1..n (or options split by |), correct, time limit,
+// image, tolerance. Kahoot exports use the same header names ("Answer 1", "Correct answer(s)").
+function importCsv(text, { title } = {}) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.slice(0, MAX_HEADER_SEARCH_ROWS).findIndex(r => r.some(h => /^question/i.test(h)));
+  if (headerIndex === -1) throw new Error('CSV needs a header row with a "Question" column');
+  const header = rows[headerIndex].map(h => h.toLowerCase());
+  const col = pattern => header.findIndex(h => pattern.test(h));
+  const cols = {
+    text: col(/^question/),
+    type: col(/^type\b/),
+    options: col(/^options$/),
+    correct: col(/^correct/),
+    time: col(/^time/),
+    image: col(/^image/),
+    tolerance: col(/^tolerance/)
+  };
+  const optionCols = header
+    .map((h, i) => [h.match(/^(?:option|answer)\s*(\d+)/), i])
+    .filter(([m]) => m)
+    .sort((a, b) => Number(a[0][1]) - Number(b[0][1]))
+    .map(([, i]) => i);
+
+  const warnings = [];
+  const cell = (row, i) => (i === -1 ? '' : row[i] || '');
+  const questions = [];
+  rows.slice(headerIndex + 1).forEach((row, n) => {
+    const where = `Row ${headerIndex + n + 2}`;
+    const text = cell(row, cols.text);
+    if (!text) {
+      warnings.push(`${where}: skipped (no question)`);
+      return;
+    }
+    const numbered = optionCols.map(i => cell(row, i));
+    const options = cols.options !== -1 ? splitList(cell(row, cols.options)) : numbered.filter(Boolean);
+    // Option numbers refer to the columns, so renumber them when empty option columns are dropped
+    const positions = [];
+    numbered.forEach((label, i) => { if (label) positions[i] = positions.filter(Boolean).length + 1; });
+    const correct = splitList(cell(row, cols.correct), options.length > 0).map(token =>
+      cols.options === -1 && positions[Number(token) - 1] ? String(positions[Number(token) - 1]) : token);
+    questions.push(buildQuestion({
+      text,
+      type: cell(row, cols.type),
+      options,
+      correct,
+      time: cell(row, cols.time),
+      image: cell(row, cols.image),
+      tolerance: cell(row, cols.tolerance)
+    }, questions.length, where, warnings));
+  });
+  return { quiz: { title: title || '', questions }, warnings };
+}
+
+// Markdown / plain text:
+//   # Quiz title
+//   ## Question text          (or "Q: Question text")
+//   - [x] correct option      - [ ] wrong option      (plain "- option" for order questions)
+//   = accepted answer         (type-the-answer, number or true/false questions)
+//   type: order | time: 30 | image: https://... | tolerance: 2
+function importMarkdown(text, { title } = {}) {
+  const warnings = [];
+  const questions = [];
+  let quizTitle = title || '';
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    questions.push(buildQuestion(current, questions.length, current.where, warnings));
+    current = null;
+  };
+
+  text.split(/\r?\n/).forEach((raw, n) => {
+    const line = raw.trim();
+    let m;
+    if (!line) return;
+    if (!current && !questions.length && (m = line.match(/^#\s+(.+)/))) {
+      quizTitle = m[1];
+    } else if ((m = line.match(/^(?:#{2,}\s*|Q\d*\s*[:.)]\s*)(.+)/i))) {
+      finish();
+      current = { text: m[1], options: [], correct: [], where: `Line ${n + 1}` };
+    } else if (!current) {
+      warnings.push(`Line ${n + 1}: ignored text before the first question`);
+    } else if ((m = line.match(/^(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s*(.+)/))) {
+      current.options.push(m[2]);
+      if (m[1] !== ' ') current.correct.push(String(current.options.length));
+    } else if ((m = line.match(/^(?:[-*+]|\d+[.)])\s+(.+)/))) {
+      current.options.push(m[1]);
+    } else if ((m = line.match(/^=\s*(.+)/))) {
+      current.correct.push(m[1]);
+    } else if ((m = line.match(/^(type|time|image|tolerance)\s*:\s*(.*)$/i))) {
+      current[m[1].toLowerCase()] = m[2].trim();
+    } else {
+      current.text += ` ${line}`;
+    }
+  });
+  finish();
+  return { quiz: { title: quizTitle, questions }, warnings };
+}
+
+// Guess the format from the file name, falling back to the content
+function detectFormat(filename, text) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.csv' || ext === '.tsv') return 'csv';
+  if (ext === '.md' || ext === '.markdown' || ext === '.txt') return 'markdown';
+  if (ext === '.xlsx' || ext === '.xls') throw new Error('Spreadsheet files can\'t be read directly; save the sheet as CSV first');
+  if (/^\s*[{[]/.test(text)) return 'json';
+  return /^\s*(#|Q\d*\s*[:.)])/im.test(text) ? 'markdown' : 'csv';
+}
+
+// Convert an uploaded quiz file to quiz JSON; throws when the file can't be read at all
+function importQuiz(text, { format, filename } = {}) {
+  text = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark to UTF-8 CSV
+  const chosen = format || detectFormat(filename, text);
+  if (!IMPORT_FORMATS.includes(chosen)) throw new Error(`Unknown import format "${chosen}"`);
+  if (chosen === 'json') {
+    try {
+      return { quiz: JSON.parse(text), warnings: [] };
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+  }
+  // Spreadsheets have no title cell, so default to the file name
+  const title = filename ? path.basename(filename, path.extname(filename)) : '';
+  return chosen === 'csv' ? importCsv(text, { title }) : importMarkdown(text, { title });
+}
+
+module.exports = { importQuiz };
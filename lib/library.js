@@ -0,0 +1,76 @@
+// lib/library.js
+// Quiz library: saved quizzes stored as one JSON file each so hosts can reuse them.
+const fs = require('fs/promises');
+const path = require('path');
+
+const LIBRARY_DIR = process.env.QUIZ_LIBRARY_DIR || path.join(__dirname, '..', 'data', 'quizzes');
+const QUIZ_ID_PATTERN = /^[a-z0-9]+$/;
+
+const quizPath = id => path.join(LIBRARY_DIR, `${id}.json`);
+
+// Load a saved quiz by id, or null if it does not exist
+async function loadQuiz(id) {
+  if (!QUIZ_ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(quizPath(id), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Write a quiz under the given id (creates or replaces it)
+async function saveQuiz(id, quiz) {
+  await fs.mkdir(LIBRARY_DIR, { recursive: true });
+  await fs.writeFile(quizPath(id), JSON.stringify(quiz, null, 2));
+}
+
+// Delete a saved quiz; reports whether it existed
+async function deleteQuiz(id) {
+  if (!QUIZ_ID_PATTERN.test(id)) return false;
+  try {
+    await fs.unlink(quizPath(id));
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+}
+
+// Summaries of saved quizzes, most recently updated first.
+// search matches the title (case-insensitive); tag must match one of the quiz's tags exactly.
+async function listQuizzes({ search, tag } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(LIBRARY_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const needle = typeof search === 'string' ? search.trim().toLowerCase() : '';
+  const summaries = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const id = file.slice(0, -5);
+    let quiz, stat;
+    try {
+      quiz = await loadQuiz(id);
+      stat = await fs.stat(quizPath(id));
+    } catch {
+      continue; // skip unreadable files rather than failing the whole list
+    }
+    if (!quiz) continue;
+    const tags = Array.isArray(quiz.tags) ? quiz.tags : [];
+    if (needle && !String(quiz.title).toLowerCase().includes(needle)) continue;
+    if (tag && !tags.includes(tag)) continue;
+    summaries.push({
+      id,
+      title: quiz.title,
+      tags,
+      questionCount: Array.isArray(quiz.questions) ? quiz.questions.length : 0,
+      updatedAt: stat.mtime.toISOString()
+    });
+  }
+  return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+module.exports = { loadQuiz, saveQuiz, deleteQuiz, listQuizzes };
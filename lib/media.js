@@ -0,0 +1,110 @@
+// lib/media.js
+// Images and short audio/video clips uploaded with a quiz, stored on disk in one folder per quiz
+// and served by the app under /media/<folder>/<file>.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, '..', 'data', 'media');
+const MEDIA_FOLDER_PATTERN = /^[a-z0-9]+$/;
+const MAX_IMAGE_SIZE = 2 * 1024 * 1024;
+const MAX_CLIP_SIZE = 10 * 1024 * 1024; // audio and video
+const MAX_FILES_PER_FOLDER = 100;
+// Uploads need no login, so cap what they can take up on disk altogether
+const MAX_MEDIA_DIR_SIZE = (Number(process.env.MEDIA_MAX_TOTAL_MB) || 1024) * 1024 * 1024;
+
+const startsWith = (buf, bytes, offset = 0) => buf.length >= offset + bytes.length &&
+  bytes.every((b, i) => buf[offset + i] === (typeof b === 'string' ? b.charCodeAt(0) : b));
+const ascii = s => s.split('');
+
+// Allowed upload types; the file's first bytes must match so nothing else can be served as media
+const MEDIA_TYPES = {
+  'image/png': { ext: 'png', maxSize: MAX_IMAGE_SIZE, matches: b => startsWith(b, [0x89, ...ascii('PNG')]) },
+  'image/jpeg': { ext: 'jpg', maxSize: MAX_IMAGE_SIZE, matches: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+  'image/gif': { ext: 'gif', maxSize: MAX_IMAGE_SIZE, matches: b => startsWith(b, ascii('GIF8')) },
+  'image/webp': { ext: 'webp', maxSize: MAX_IMAGE_SIZE, matches: b => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  'audio/mpeg': { ext: 'mp3', maxSize: MAX_CLIP_SIZE, matches: b => startsWith(b, ascii('ID3')) || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  'audio/ogg': { ext: 'ogg', maxSize: MAX_CLIP_SIZE, matches: b => startsWith(b, ascii('OggS')) },
+  'audio/wav': { ext: 'wav', maxSize: MAX_CLIP_SIZE, matches: b => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WAVE'), 8) },
+  'audio/mp4': { ext: 'm4a', maxSize: MAX_CLIP_SIZE, matches: b => startsWith(b, ascii('ftyp'), 4) },
+  'video/mp4': { ext: 'mp4', maxSize: MAX_CLIP_SIZE, matches: b => startsWith(b, ascii('ftyp'), 4) },
+  'video/webm': { ext: 'webm', maxSize: MAX_CLIP_SIZE, matches: b => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) }
+};
+// Browsers report some types under older names
+const TYPE_ALIASES = { 'audio/mp3': 'audio/mpeg', 'audio/x-wav': 'audio/wav', 'audio/wave': 'audio/wav', 'audio/x-m4a': 'audio/mp4' };
+
+// Content-Type header to a supported media type, or null
+function resolveMediaType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const resolved = TYPE_ALIASES[type] || type;
+  return MEDIA_TYPES[resolved] ? resolved : null;
+}
+
+// Whether express.raw should read a request body with this Content-Type
+function isMediaType(contentType) {
+  return resolveMediaType(contentType) != null;
+}
+
+// Why an upload is rejected, or null if it is fine
+function checkMedia(buffer, contentType) {
+  const type = resolveMediaType(contentType);
+  if (!type) return 'Only PNG, JPEG, GIF, WebP images, MP3, OGG, WAV, M4A audio and MP4, WebM video can be uploaded';
+  const { maxSize, matches } = MEDIA_TYPES[type];
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return 'The file is empty';
+  if (buffer.length > maxSize) return `The file is too large (limit ${maxSize / 1024 / 1024} MB)`;
+  if (!matches(buffer)) return `The file is not a valid ${type} file`;
+  return null;
+}
+
+// Bytes stored in all media folders
+async function getMediaDirSize() {
+  let folders;
+  try {
+    folders = await fs.readdir(MEDIA_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return 0;
+    throw e;
+  }
+  let total = 0;
+  for (const folder of folders) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(MEDIA_DIR, folder));
+    } catch {
+      continue; // not a folder
+    }
+    for (const file of files) {
+      try {
+        total += (await fs.stat(path.join(MEDIA_DIR, folder, file))).size;
+      } catch {} // removed while counting
+    }
+  }
+  return total;
+}
+
+// Store a checked upload in the quiz's folder and return its public URL
+async function saveMedia(folder, buffer, contentType) {
+  if (!MEDIA_FOLDER_PATTERN.test(folder)) throw new Error('Invalid media folder');
+  if (await getMediaDirSize() + buffer.length > MAX_MEDIA_DIR_SIZE) {
+    return { error: 'The server has no room for more media files' };
+  }
+  const dir = path.join(MEDIA_DIR, folder);
+  await fs.mkdir(dir, { recursive: true });
+  if ((await fs.readdir(dir)).length >= MAX_FILES_PER_FOLDER) {
+    return { error: `A quiz can have at most ${MAX_FILES_PER_FOLDER} media files` };
+  }
+  // Named by content so uploading the same file twice reuses it
+  const { ext } = MEDIA_TYPES[resolveMediaType(contentType)];
+  const name = `${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16)}.${ext}`;
+  await fs.writeFile(path.join(dir, name), buffer);
+  return { url: `/media/${folder}/${name}` };
+}
+
+module.exports = {
+  MEDIA_DIR,
+  MEDIA_FOLDER_PATTERN,
+  MAX_CLIP_SIZE,
+  isMediaType,
+  checkMedia,
+  saveMedia
+};
@@ -0,0 +1,56 @@
+// lib/names.js
+// Player name rules: cleaning up what was typed, refusing names on the blocklist and
+// suggesting a free alternative when a name is already taken in the game.
+const fs = require('fs');
+const path = require('path');
+
+const MAX_NAME_LENGTH = 20;
+const NAME_BLOCKLIST_FILE = process.env.NAME_BLOCKLIST_FILE || path.join(__dirname, 'name-blocklist.txt');
+
+// Look-alike characters used to sneak words past the list ("sh1t", "a$$")
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '$': 's', '@': 'a', '!': 'i' };
+
+function normalize(text) {
+  return text.toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[0134578$@!]/g, c => LOOKALIKES[c]);
+}
+
+const blocklist = new Set(fs.readFileSync(NAME_BLOCKLIST_FILE, 'utf8')
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'))
+  .map(normalize));
+
+function sanitizeName(name) {
+  // Remove HTML tags and limit to 20 chars, allow only basic printable chars
+  return String(name)
+    .replace(/<[^>]*>/g, '')
+    .replace(/[^\w\s\-'.!]/g, '')
+    .slice(0, MAX_NAME_LENGTH)
+    .trim();
+}
+
+function containsBlockedWord(text) {
+  const normalized = normalize(text);
+  const words = normalized.split(/[^a-z]+/).filter(Boolean);
+  return words.some(w => blocklist.has(w)) || blocklist.has(normalized.replace(/[^a-z]/g, ''));
+}
+
+// Whether a name contains a blocked word, on its own or with the spaces and dots taken out.
+// Pass the name as typed: "$" and "@" are read as letters before sanitizeName strips them.
+function isBlockedName(name) {
+  const typed = String(name);
+  return containsBlockedWord(typed) || containsBlockedWord(sanitizeName(typed));
+}
+
+// First free "Name2", "Name3"... given the lowercased names already in use
+function suggestName(name, takenLower) {
+  for (let n = 2; ; n++) {
+    const suffix = String(n);
+    const candidate = name.slice(0, MAX_NAME_LENGTH - suffix.length).trim() + suffix;
+    if (!takenLower.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+module.exports = { sanitizeName, isBlockedName, suggestName };
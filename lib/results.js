@@ -0,0 +1,153 @@
+// lib/results.js
+// Stores finished games as JSON files so hosts can download a report afterwards.
+const fs = require('fs/promises');
+const path = require('path');
+
+const RESULTS_DIR = process.env.RESULTS_DIR || path.join(__dirname, '..', 'data', 'results');
+const RESULT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Human-readable form of a stored answer (option labels instead of ids)
+function formatAnswer(q, answer) {
+  if (answer == null) return '';
+  const label = id => (q.options.find(o => o.id === id) || {}).label || id;
+  switch (q.type) {
+    case 'multiselect':
+      return answer.map(label).join('; ');
+    case 'order':
+      return answer.map(label).join(' > ');
+    case 'text':
+    case 'numeric':
+      return String(answer);
+    default:
+      return label(answer);
+  }
+}
+
+// Human-readable form of the correct answer
+function formatCorrectAnswer(q) {
+  switch (q.type) {
+    case 'text':
+      return q.acceptedAnswers.join('; ');
+    case 'numeric':
+      if (q.closest) return `${q.answer} (closest wins)`;
+      return q.tolerance ? `${q.answer} ± ${q.tolerance}` : String(q.answer);
+    case 'order':
+      return formatAnswer(q, q.correctOrder);
+    case 'multiselect':
+      return formatAnswer(q, q.correctOptionIds);
+    default:
+      return q.correctOptionIds.map(id => formatAnswer(q, id)).join('; ');
+  }
+}
+
+// Build the report for a finished game from its state and per-round history
+function buildGameReport(state, { id, key }) {
+  const questions = state.history.map(h => {
+    const q = state.questions[h.index];
+    return { index: h.index, id: q.id, type: q.type, text: q.text, correctAnswer: formatCorrectAnswer(q) };
+  });
+
+  // Everyone who answered at least once, plus everyone still in the game
+  const players = new Map();
+  for (const p of state.players.values()) {
+    players.set(p.id, { id: p.id, name: p.name, team: p.team || null, score: p.score, left: false, answers: [] });
+  }
+  for (const h of state.history) {
+    for (const a of h.answers) {
+      if (!players.has(a.playerId)) {
+        players.set(a.playerId, { id: a.playerId, name: a.name, team: a.team || null, score: null, left: true, answers: [] });
+      }
+    }
+  }
+  for (const p of players.values()) {
+    p.answers = state.history.map(h => {
+      const a = h.answers.find(x => x.playerId === p.id);
+      const q = state.questions[h.index];
+      return a
+        ? { questionId: q.id, answer: formatAnswer(q, a.answer), correct: a.correct, points: a.points, timeMs: a.timeMs }
+        : { questionId: q.id, answer: '', correct: false, points: 0, timeMs: null };
+    });
+    if (p.score == null) p.score = p.answers.reduce((sum, a) => sum + a.points, 0);
+    p.correctCount = p.answers.filter(a => a.correct).length;
+  }
+
+  const ranked = [...players.values()].sort((a, b) => b.score - a.score);
+  ranked.forEach((p, i) => { p.rank = i + 1; });
+
+  return {
+    id,
+    key,
+    gameId: state.id,
+    title: state.title,
+    startedAt: state.startedAt ? new Date(state.startedAt).toISOString() : null,
+    endedAt: new Date().toISOString(),
+    questions,
+    players: ranked
+  };
+}
+
+// Quote a CSV field when needed
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per player per question, ordered by final rank
+function reportToCsv(report) {
+  const header = ['Rank', 'Player', 'Team', 'Final score', 'Question #', 'Question', 'Correct answer', 'Answer', 'Correct', 'Points', 'Time (s)'];
+  const rows = [header];
+  for (const p of report.players) {
+    report.questions.forEach((q, i) => {
+      const a = p.answers[i];
+      rows.push([
+        p.rank, p.name, p.team || '', p.score, i + 1, q.text, q.correctAnswer, a.answer,
+        a.correct ? 'yes' : 'no', a.points, a.timeMs == null ? '' : (a.timeMs / 1000).toFixed(2)
+      ]);
+    });
+  }
+  return rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Save a report to disk
+async function saveReport(report) {
+  await fs.mkdir(RESULTS_DIR, { recursive: true });
+  await fs.writeFile(path.join(RESULTS_DIR, `${report.id}.json`), JSON.stringify(report, null, 2));
+}
+
+// Load a report by id, or null if it does not exist
+async function loadReport(id) {
+  if (!RESULT_ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(RESULTS_DIR, `${id}.json`), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Summaries of all saved games, newest first (no player details)
+async function listReports() {
+  let files;
+  try {
+    files = await fs.readdir(RESULTS_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const summaries = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const report = await loadReport(file.slice(0, -5));
+    if (!report) continue;
+    summaries.push({
+      id: report.id,
+      title: report.title,
+      startedAt: report.startedAt,
+      endedAt: report.endedAt,
+      playerCount: report.players.length,
+      questionCount: report.questions.length
+    });
+  }
+  return summaries.sort((a, b) => String(b.endedAt).localeCompare(String(a.endedAt)));
+}
+
+module.exports = { buildGameReport, reportToCsv, saveReport, loadReport, listReports };
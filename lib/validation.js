@@ -0,0 +1,254 @@
+// lib/validation.js
+// Quiz validation shared by the server and scripts/lint-quizzes.js.
+// validateQuiz returns a list of {path, message}; an empty list means the quiz is valid.
+
+const QUESTION_TYPES = ['multiple', 'multiselect', 'truefalse', 'text', 'numeric', 'order'];
+const SCORING_MODES = ['speed', 'flat']; // speed: half the points are for answering fast; flat: fixed points
+const TEAM_SCORING_MODES = ['sum', 'average']; // average keeps uneven team sizes fair
+
+const MIN_TIME_LIMIT_SECONDS = 5;
+const MAX_TIME_LIMIT_SECONDS = 90;
+const MAX_READING_TIME_SECONDS = 30; // "get ready" time before the options appear
+const MAX_AUTO_ADVANCE_SECONDS = 60; // longest the reveal stays up before the next question starts by itself
+const MAX_QUESTIONS = 200;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 8; // also the most items a "put these in order" question can have
+const MAX_TITLE_LENGTH = 100;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_LABEL_LENGTH = 100;
+const MAX_POINTS = 10000;
+const MAX_MULTIPLIER = 10;
+const MAX_TEAMS = 8;
+const MAX_TEAM_NAME_LENGTH = 20;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_ERRORS = 50; // stop collecting after this many so a broken file stays readable
+
+const isObject = v => v != null && typeof v === 'object' && !Array.isArray(v);
+const isNonEmptyString = v => typeof v === 'string' && v.trim() !== '';
+const isNumberInRange = (v, min, max) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+
+// Media URLs must be http(s) or a path on this server (uploads live under /media/)
+function isSaneMediaUrl(url) {
+  if (url.startsWith('/') && !url.startsWith('//')) return true;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Validate a whole quiz payload
+function validateQuiz(payload) {
+  const errors = [];
+  const add = (path, message) => {
+    if (errors.length < MAX_ERRORS) errors.push({ path, message });
+  };
+
+  if (!isObject(payload)) {
+    add('', 'Quiz must be a JSON object');
+    return errors;
+  }
+  if (!isNonEmptyString(payload.title)) add('title', 'Title is required');
+  else if (payload.title.length > MAX_TITLE_LENGTH) add('title', `Title must be at most ${MAX_TITLE_LENGTH} characters`);
+
+  validateTimeLimit(payload.defaultTimeLimitSeconds, 'defaultTimeLimitSeconds', add);
+  validateReadingTime(payload.readingTimeSeconds, 'readingTimeSeconds', add);
+  if (payload.autoAdvanceSeconds != null && !isNumberInRange(payload.autoAdvanceSeconds, 0, MAX_AUTO_ADVANCE_SECONDS)) {
+    add('autoAdvanceSeconds', `Auto-advance must be a number of seconds between 0 (off) and ${MAX_AUTO_ADVANCE_SECONDS}`);
+  }
+  validateScoring(payload, '', add);
+  if (payload.teams != null) validateTeams(payload.teams, 'teams', add);
+  if (payload.tags != null) validateTags(payload.tags, 'tags', add);
+  if (payload.mediaFolder != null && !(typeof payload.mediaFolder === 'string' && /^[a-z0-9]+$/.test(payload.mediaFolder))) {
+    add('mediaFolder', 'Media folder must be the id returned by a media upload');
+  }
+
+  if (!Array.isArray(payload.questions) || payload.questions.length === 0) {
+    add('questions', 'Quiz needs at least one question');
+    return errors;
+  }
+  if (payload.questions.length > MAX_QUESTIONS) add('questions', `Quiz can have at most ${MAX_QUESTIONS} questions`);
+
+  const seenIds = new Set();
+  payload.questions.forEach((q, i) => {
+    const path = `questions[${i}]`;
+    if (!isObject(q)) {
+      add(path, 'Question must be an object');
+      return;
+    }
+    if (!isNonEmptyString(q.id)) {
+      add(`${path}.id`, 'Question id is required');
+    } else if (seenIds.has(q.id)) {
+      add(`${path}.id`, `Duplicate question id "${q.id}"`);
+    } else {
+      seenIds.add(q.id);
+    }
+    if (!isNonEmptyString(q.text)) add(`${path}.text`, 'Question text is required');
+    else if (q.text.length > MAX_QUESTION_LENGTH) add(`${path}.text`, `Question text must be at most ${MAX_QUESTION_LENGTH} characters`);
+
+    validateMediaUrl(q.imageUrl, `${path}.imageUrl`, add);
+    validateMediaUrl(q.audioUrl, `${path}.audioUrl`, add);
+    validateMediaUrl(q.videoUrl, `${path}.videoUrl`, add);
+    validateTimeLimit(q.timeLimitSeconds, `${path}.timeLimitSeconds`, add);
+    validateReadingTime(q.readingTimeSeconds, `${path}.readingTimeSeconds`, add);
+    validateScoring(q, `${path}.`, add);
+
+    const type = q.type == null ? 'multiple' : q.type;
+    if (!QUESTION_TYPES.includes(type)) {
+      add(`${path}.type`, `Unknown question type "${type}" (expected one of ${QUESTION_TYPES.join(', ')})`);
+      return;
+    }
+    validateQuestionAnswers(q, type, path, add);
+  });
+  return errors;
+}
+
+// Optional image/audio/video URL; empty means none
+function validateMediaUrl(url, path, add) {
+  if (url == null || url === '') return;
+  if (typeof url !== 'string' || !isSaneMediaUrl(url)) add(path, 'Media URL must be an http(s) URL, an uploaded file or left empty');
+}
+
+// Time limits are optional but must be within what the server allows
+function validateTimeLimit(value, path, add) {
+  if (value == null) return;
+  if (!isNumberInRange(value, MIN_TIME_LIMIT_SECONDS, MAX_TIME_LIMIT_SECONDS)) {
+    add(path, `Time limit must be a number of seconds between ${MIN_TIME_LIMIT_SECONDS} and ${MAX_TIME_LIMIT_SECONDS}`);
+  }
+}
+
+// Reading time is optional; 0 shows the options straight away
+function validateReadingTime(value, path, add) {
+  if (value == null) return;
+  if (!isNumberInRange(value, 0, MAX_READING_TIME_SECONDS)) {
+    add(path, `Reading time must be a number of seconds between 0 and ${MAX_READING_TIME_SECONDS}`);
+  }
+}
+
+// Team mode settings: {names: [...], scoring: 'sum' | 'average'}
+function validateTeams(teams, path, add) {
+  if (!isObject(teams) || !Array.isArray(teams.names)) {
+    add(path, 'Teams must be an object with a list of names');
+    return;
+  }
+  if (teams.names.length < 2 || teams.names.length > MAX_TEAMS) {
+    add(`${path}.names`, `Team mode needs between 2 and ${MAX_TEAMS} teams`);
+  }
+  const seen = new Set();
+  teams.names.forEach((n, i) => {
+    if (!isNonEmptyString(n) || n.length > MAX_TEAM_NAME_LENGTH) {
+      add(`${path}.names[${i}]`, `Team name must be 1-${MAX_TEAM_NAME_LENGTH} characters`);
+    } else if (seen.has(n.trim())) {
+      add(`${path}.names[${i}]`, `Duplicate team name "${n.trim()}"`);
+    } else {
+      seen.add(n.trim());
+    }
+  });
+  if (teams.scoring != null && !TEAM_SCORING_MODES.includes(teams.scoring)) {
+    add(`${path}.scoring`, `Team scoring must be one of ${TEAM_SCORING_MODES.join(', ')}`);
+  }
+}
+
+// Library tags: a short list of short labels
+function validateTags(tags, path, add) {
+  if (!Array.isArray(tags)) {
+    add(path, 'Tags must be a list');
+    return;
+  }
+  if (tags.length > MAX_TAGS) add(path, `Quiz can have at most ${MAX_TAGS} tags`);
+  tags.forEach((t, i) => {
+    if (!isNonEmptyString(t) || t.length > MAX_TAG_LENGTH) add(`${path}[${i}]`, `Tag must be 1-${MAX_TAG_LENGTH} characters`);
+  });
+}
+
+// Optional scoring fields shared by quizzes and questions
+function validateScoring(obj, prefix, add) {
+  if (obj.scoringMode != null && !SCORING_MODES.includes(obj.scoringMode)) {
+    add(`${prefix}scoringMode`, `Scoring mode must be one of ${SCORING_MODES.join(', ')}`);
+  }
+  const ranges = { points: MAX_POINTS, multiplier: MAX_MULTIPLIER, wrongPenalty: MAX_POINTS, streakBonus: MAX_POINTS };
+  for (const [key, max] of Object.entries(ranges)) {
+    if (obj[key] != null && !isNumberInRange(obj[key], 0, max)) add(`${prefix}${key}`, `Must be a number between 0 and ${max}`);
+  }
+}
+
+// A list of {id, label} options with unique ids
+function validateOptions(options, path, add) {
+  if (!Array.isArray(options)) {
+    add(path, 'Options must be a list');
+    return;
+  }
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    add(path, `Question needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options (has ${options.length})`);
+  }
+  const seen = new Set();
+  options.forEach((opt, i) => {
+    const optPath = `${path}[${i}]`;
+    if (!isObject(opt)) {
+      add(optPath, 'Option must be an object');
+      return;
+    }
+    if (!isNonEmptyString(opt.id)) add(`${optPath}.id`, 'Option id is required');
+    else if (seen.has(opt.id)) add(`${optPath}.id`, `Duplicate option id "${opt.id}"`);
+    else seen.add(opt.id);
+    validateMediaUrl(opt.imageUrl, `${optPath}.imageUrl`, add);
+    if (!isNonEmptyString(opt.label)) add(`${optPath}.label`, 'Option label is required');
+    else if (opt.label.length > MAX_LABEL_LENGTH) add(`${optPath}.label`, `Option label must be at most ${MAX_LABEL_LENGTH} characters`);
+  });
+}
+
+// The answer fields each question type needs
+function validateQuestionAnswers(q, type, path, add) {
+  switch (type) {
+    case 'truefalse':
+      if (typeof q.answer !== 'boolean') add(`${path}.answer`, 'True/false questions need "answer": true or false');
+      return;
+    case 'text':
+      if (!Array.isArray(q.acceptedAnswers) || q.acceptedAnswers.length === 0) {
+        add(`${path}.acceptedAnswers`, 'Type-the-answer questions need a list of accepted answers');
+        return;
+      }
+      q.acceptedAnswers.forEach((a, i) => {
+        if (!isNonEmptyString(a)) add(`${path}.acceptedAnswers[${i}]`, 'Accepted answer must be a non-empty string');
+      });
+      return;
+    case 'numeric':
+      if (typeof q.answer !== 'number' || !Number.isFinite(q.answer)) add(`${path}.answer`, 'Numeric questions need a numeric "answer"');
+      if (q.tolerance != null && !isNumberInRange(q.tolerance, 0, Number.MAX_VALUE)) add(`${path}.tolerance`, 'Tolerance must be a number of 0 or more');
+      if (q.closest != null && typeof q.closest !== 'boolean') add(`${path}.closest`, 'closest must be true or false');
+      return;
+    case 'order':
+      validateOptions(q.options, `${path}.options`, add);
+      return;
+    default: {
+      // multiple and multiselect
+      validateOptions(q.options, `${path}.options`, add);
+      if (type === 'multiselect' && q.partialCredit != null && typeof q.partialCredit !== 'boolean') {
+        add(`${path}.partialCredit`, 'partialCredit must be true or false');
+      }
+      if (!Array.isArray(q.correctOptionIds) || q.correctOptionIds.length === 0) {
+        add(`${path}.correctOptionIds`, 'At least one correct option id is required');
+        return;
+      }
+      const optionIds = new Set(Array.isArray(q.options) ? q.options.filter(isObject).map(o => o.id) : []);
+      const seen = new Set();
+      q.correctOptionIds.forEach((cid, i) => {
+        const cidPath = `${path}.correctOptionIds[${i}]`;
+        if (!isNonEmptyString(cid)) add(cidPath, 'Correct option id must be a non-empty string');
+        else if (!optionIds.has(cid)) add(cidPath, `"${cid}" is not the id of any option`);
+        else if (seen.has(cid)) add(cidPath, `Duplicate correct option id "${cid}"`);
+        else seen.add(cid);
+      });
+    }
+  }
+}
+
+module.exports = {
+  validateQuiz,
+  MIN_TIME_LIMIT_SECONDS,
+  MAX_TIME_LIMIT_SECONDS,
+  MAX_READING_TIME_SECONDS,
+  MAX_AUTO_ADVANCE_SECONDS
+};
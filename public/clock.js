@@ -0,0 +1,55 @@
+// public/clock.js
+// Estimates how far this device's clock is from the server's, so countdowns run to the
+// server's deadline (endMs) instead of starting over when a question arrives late.
+// Loaded before host.js and player.js.
+
+const CLOCK_SAMPLES = 5; // pings per sync; the quickest round trip gives the best estimate
+const CLOCK_RESYNC_MS = 30 * 1000;
+let clockOffsetMs = 0; // server time minus local time
+let bestRoundTripMs = Infinity;
+let clockSynced = false;
+
+// Current time on the server's clock
+function serverNow() {
+  return Date.now() + clockOffsetMs;
+}
+
+// Call onTick with the whole seconds left until a server-clock time; stops itself at 0
+function countdownTo(targetMs, onTick) {
+  const interval = setInterval(tick, 200);
+  function tick() {
+    const secLeft = Math.max(0, Math.ceil((targetMs - serverNow()) / 1000));
+    onTick(secLeft);
+    if (secLeft === 0) clearInterval(interval);
+  }
+  tick();
+  return interval;
+}
+
+// Rough offset from a server timestamp in a message, until the first ping comes back
+function noteServerTime(serverTime) {
+  if (!clockSynced && typeof serverTime === 'number') clockOffsetMs = serverTime - Date.now();
+}
+
+function pingServerClock(socket) {
+  const sentAt = Date.now();
+  socket.emit('time:ping', ({ serverNow: serverTime }) => {
+    const roundTrip = Date.now() - sentAt;
+    if (roundTrip > bestRoundTripMs) return;
+    bestRoundTripMs = roundTrip;
+    // Assume the reply was stamped halfway through the round trip
+    clockOffsetMs = serverTime - (sentAt + roundTrip / 2);
+    clockSynced = true;
+  });
+}
+
+function syncServerClock(socket) {
+  bestRoundTripMs = Infinity;
+  for (let i = 0; i < CLOCK_SAMPLES; i++) setTimeout(() => pingServerClock(socket), i * 200);
+}
+
+// Sync on every (re)connect and every half minute after that
+function startClockSync(socket) {
+  socket.on('connect', () => syncServerClock(socket));
+  setInterval(() => { if (socket.connected) syncServerClock(socket); }, CLOCK_RESYNC_MS);
+}
@@ -0,0 +1,266 @@
+// public/display.js
+// Read-only big-screen view of a game (display.html?game=ID) for a projector or TV. It watches
+// the game's room without joining as a player; the host runs the game from their own device.
+const socket = io();
+startClockSync(socket);
+const byId = id => document.getElementById(id);
+const el = {
+  notice: byId('notice'),
+  connect: byId('connect'),
+  pin: byId('pin'),
+  watchBtn: byId('watchBtn'),
+  connectMsg: byId('connectMsg'),
+  lobby: byId('lobby'),
+  lobbyTitle: byId('lobbyTitle'),
+  joinUrl: byId('joinUrl'),
+  gameIdText: byId('gameId'),
+  joinQr: byId('joinQr'),
+  playerCount: byId('playerCount'),
+  players: byId('players'),
+  play: byId('play'),
+  qText: byId('qText'),
+  qMedia: byId('qMedia'),
+  answers: byId('answers'),
+  qIndex: byId('qIndex'),
+  qTotal: byId('qTotal'),
+  qMultiplier: byId('qMultiplier'),
+  timer: byId('timer'),
+  distribution: byId('distribution'),
+  leaderboard: byId('leaderboard'),
+  board: byId('board'),
+  over: byId('over'),
+  podium: byId('podium'),
+  awards: byId('awards'),
+  finalBoard: byId('finalBoard'),
+  teamPodiumWrap: byId('teamPodiumWrap'),
+  teamPodium: byId('teamPodium')
+};
+
+const LEADERBOARD_SIZE = 5; // players listed after each question
+
+let gameId = new URLSearchParams(location.search).get('game');
+let question = null; // question on screen, for labelling the reveal
+let countdownInterval = null;
+
+const sections = [el.connect, el.lobby, el.play, el.leaderboard, el.over];
+function showOnly(...visible) {
+  sections.forEach(section => section.classList.toggle('hidden', !visible.includes(section)));
+}
+
+function stopCountdown() {
+  clearInterval(countdownInterval);
+  countdownInterval = null;
+}
+
+// Start (or restart after a reconnect) watching the game
+function watch() {
+  if (!gameId) {
+    showOnly(el.connect);
+    return;
+  }
+  socket.emit('display:watch', { gameId }, (res) => {
+    if (!res?.ok) {
+      if (!el.over.classList.contains('hidden')) return; // finished games are gone; keep the podium up
+      el.connectMsg.textContent = res?.error || 'Game not found.';
+      showOnly(el.connect);
+      return;
+    }
+    history.replaceState(null, '', `?game=${encodeURIComponent(gameId)}`);
+    el.notice.classList.toggle('hidden', res.hostConnected);
+    if (!res.hostConnected) el.notice.textContent = 'Waiting for the host to reconnect…';
+    renderLobby(res.lobby);
+    if (res.phase === 'lobby') {
+      showOnly(el.lobby);
+    } else if (res.phase === 'preview') {
+      noteServerTime(res.serverNow);
+      renderPreview(res.question, res.startMs);
+    } else if (res.phase === 'question') {
+      noteServerTime(res.serverNow);
+      renderQuestion(res.question, res.paused ? null : res.endMs);
+      if (res.paused) el.timer.textContent = 'Paused';
+    } else if (res.phase === 'reveal' && res.reveal) {
+      renderQuestion(res.question, null);
+      renderReveal(res.reveal);
+      if (res.advance) showAdvance(res.advance);
+    }
+  });
+}
+socket.on('connect', watch);
+
+el.watchBtn.addEventListener('click', () => {
+  gameId = el.pin.value.trim();
+  if (gameId) watch();
+});
+
+// Join link, PIN and QR code, plus everyone who has joined
+function renderLobby({ players, title }) {
+  const link = `${location.origin}/player.html?game=${encodeURIComponent(gameId)}`;
+  el.lobbyTitle.textContent = title;
+  el.joinUrl.textContent = link.replace(/^https?:\/\//, '');
+  el.gameIdText.textContent = gameId;
+  try { drawQrCode(el.joinQr, link); } catch {}
+  el.playerCount.textContent = players.length;
+  el.players.innerHTML = '';
+  players.forEach(name => {
+    const li = document.createElement('li');
+    li.textContent = name;
+    el.players.appendChild(li);
+  });
+}
+
+socket.on('lobby:update', renderLobby);
+
+socket.on('game:started', () => showOnly(el.play));
+
+// Question header and media; clips play on the host's device, so only pictures and muted video show here
+function renderHeader(q) {
+  question = q;
+  stopCountdown();
+  showOnly(el.play);
+  el.distribution.classList.add('hidden');
+  el.qText.textContent = q.text;
+  el.qIndex.textContent = q.index + 1;
+  el.qTotal.textContent = q.total;
+  renderMultiplier(el.qMultiplier, q.multiplier);
+  renderMedia(el.qMedia, q, true, true);
+  el.answers.innerHTML = '';
+}
+
+socket.on('question:preview', q => {
+  noteServerTime(q.serverNow);
+  renderPreview(q, q.startMs);
+});
+
+// Reading time: the question alone with a 3-2-1 countdown
+function renderPreview(q, startMs) {
+  renderHeader(q);
+  const ready = document.createElement('div');
+  ready.className = 'get-ready';
+  el.answers.appendChild(ready);
+  el.timer.textContent = 'Get ready…';
+  countdownInterval = countdownTo(startMs, secLeft => { ready.textContent = secLeft || 'Go!'; });
+}
+
+// The host dropped the question unscored; the next one follows straight away
+socket.on('question:skipped', () => {
+  el.notice.textContent = 'Question skipped. Nobody scores points for it.';
+  el.notice.classList.remove('hidden');
+  setTimeout(() => el.notice.classList.add('hidden'), 4000);
+});
+
+socket.on('question:show', q => {
+  noteServerTime(q.serverNow);
+  renderQuestion(q, q.endMs);
+});
+
+// The options as colored tiles (nothing to press here), counting down to endMs
+function renderQuestion(q, endMs) {
+  renderHeader(q);
+  if (q.type === 'text' || q.type === 'numeric') {
+    const prompt = document.createElement('div');
+    prompt.className = 'reveal-answer';
+    prompt.textContent = q.type === 'numeric' ? 'Type a number on your device' : 'Type your answer on your device';
+    el.answers.appendChild(prompt);
+  } else {
+    q.options.forEach((opt, idx) => el.answers.appendChild(createAnswerTile(opt, idx, 'div')));
+  }
+  el.timer.textContent = '';
+  if (endMs) startTimer(endMs);
+}
+
+function startTimer(endMs) {
+  stopCountdown();
+  countdownInterval = countdownTo(endMs, secLeft => { el.timer.textContent = secLeft; });
+}
+
+// Host paused, resumed or added time
+socket.on('round:timer', ({ endMs, serverNow: serverTime, paused }) => {
+  if (paused) {
+    stopCountdown();
+    el.timer.textContent = 'Paused';
+    return;
+  }
+  noteServerTime(serverTime);
+  startTimer(endMs);
+});
+
+socket.on('question:reveal', renderReveal);
+
+// Mark the right answer, chart how everyone answered and show the top of the leaderboard
+function renderReveal(reveal) {
+  stopCountdown();
+  el.timer.textContent = '';
+  const tiles = [...el.answers.querySelectorAll('.answer')];
+  if (reveal.type === 'order') {
+    sortByCorrectOrder(tiles, reveal.correctOrder)
+      .forEach((tile, i) => {
+        tile.querySelector('.shape').textContent = i + 1;
+        el.answers.appendChild(tile);
+      });
+  } else if (reveal.type === 'text' || reveal.type === 'numeric') {
+    el.answers.innerHTML = '';
+    const answer = document.createElement('div');
+    answer.className = 'reveal-answer';
+    answer.textContent = describeTypedAnswer(reveal);
+    el.answers.appendChild(answer);
+  } else {
+    tiles.forEach(tile => tile.classList.add(reveal.correctOptionIds.includes(tile.dataset.id) ? 'correct' : 'wrong'));
+  }
+  const bars = getRevealBars(reveal, question.options);
+  el.distribution.innerHTML = '';
+  el.distribution.appendChild(makeBarChart(bars, reveal.stats ? reveal.stats.players : 0));
+  el.distribution.classList.toggle('hidden', bars.length === 0);
+
+  renderLeaderboard(el.board, reveal.leaderboard.slice(0, LEADERBOARD_SIZE));
+  el.leaderboard.classList.remove('hidden');
+}
+
+// Auto-advance countdown after a reveal
+socket.on('advance:timer', showAdvance);
+
+function showAdvance({ at, final, serverNow: serverTime, paused }) {
+  const next = final ? 'Podium' : 'Next question';
+  stopCountdown();
+  if (paused) {
+    el.timer.textContent = `${next} on hold`;
+    return;
+  }
+  noteServerTime(serverTime);
+  countdownInterval = countdownTo(at, secLeft => { el.timer.textContent = `${next} in ${secLeft}s`; });
+}
+
+// Podium from 3rd place up, then the awards and everyone else's standings
+socket.on('game:over', ({ leaderboard, teamLeaderboard, awards }) => {
+  stopCountdown();
+  showOnly(el.over);
+  el.awards.classList.add('hidden');
+  el.finalBoard.classList.add('hidden');
+  el.teamPodiumWrap.classList.add('hidden');
+  el.finalBoard.innerHTML = '';
+  leaderboard.slice(3).forEach(p => {
+    const li = document.createElement('li');
+    li.textContent = `${p.name} — ${p.score.toLocaleString()}`;
+    el.finalBoard.appendChild(li);
+  });
+  playPodium(el.podium, leaderboard, () => {
+    renderAwards(el.awards, awards);
+    el.finalBoard.classList.remove('hidden');
+    el.teamPodiumWrap.classList.toggle('hidden', !teamLeaderboard);
+    if (teamLeaderboard) renderPodium(el.teamPodium, teamLeaderboard);
+  });
+});
+
+socket.on('game:paused', ({ reason }) => {
+  el.notice.textContent = reason || 'Game paused.';
+  el.notice.classList.remove('hidden');
+});
+
+socket.on('game:resumed', () => {
+  el.notice.classList.add('hidden');
+});
+
+socket.on('game:cancelled', ({ reason }) => {
+  stopCountdown();
+  el.notice.textContent = reason || 'Game ended.';
+  el.notice.classList.remove('hidden');
+});
@@ -0,0 +1,555 @@
+// public/editor.js
+// Quiz editor on the host page. Loaded after host.js and reuses its byId, el,
+// createGame, readQuizFile and showCreateErrors, plus the answer tiles and media from question.js.
+
+const EDITOR_STORAGE_KEY = 'nanoquiz:quizzes'; // saved quizzes in browser storage, keyed by title
+const LIBRARY_KEYS_KEY = 'nanoquiz:libraryKeys'; // edit keys of library quizzes saved from this browser, by id
+const MAX_EDITOR_OPTIONS = 8;
+const EDITOR_TYPES = [
+  ['multiple', 'Multiple choice'],
+  ['multiselect', 'Select all that apply'],
+  ['truefalse', 'True / false'],
+  ['text', 'Type the answer'],
+  ['numeric', 'Number'],
+  ['order', 'Put in order']
+];
+
+const ed = {
+  openBtn: byId('openEditorBtn'),
+  title: byId('edTitle'),
+  tags: byId('edTags'),
+  defaultTime: byId('edDefaultTime'),
+  readingTime: byId('edReadingTime'),
+  newBtn: byId('edNewBtn'),
+  loadFile: byId('edLoadFile'),
+  saveFileBtn: byId('edSaveFileBtn'),
+  saveLocalBtn: byId('edSaveLocalBtn'),
+  savedList: byId('edSavedList'),
+  deleteLocalBtn: byId('edDeleteLocalBtn'),
+  saveLibraryBtn: byId('edSaveLibraryBtn'),
+  closeBtn: byId('edCloseBtn'),
+  questions: byId('edQuestions'),
+  addBtn: byId('edAddBtn'),
+  hostBtn: byId('edHostBtn'),
+  msg: byId('edMsg'),
+  preview: byId('edPreview'),
+  previewClose: byId('edPreviewClose'),
+  pvIndex: byId('pvIndex'),
+  pvTotal: byId('pvTotal'),
+  pvText: byId('pvText'),
+  pvMedia: byId('pvMedia'),
+  pvAnswers: byId('pvAnswers'),
+  pvTimer: byId('pvTimer')
+};
+
+let editorQuiz = newQuiz();
+let editorLibraryId = null; // id in the server quiz library when editing a saved quiz
+
+// Small element builder: makeEl('button', { className: 'x', onclick }, ['text'])
+function makeEl(tag, props = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), props);
+  children.forEach(c => node.append(c));
+  return node;
+}
+
+function newQuiz() {
+  return { title: 'My Quiz', defaultTimeLimitSeconds: 20, questions: [newQuestion('q1')] };
+}
+
+function newQuestion(id) {
+  return {
+    id,
+    type: 'multiple',
+    text: '',
+    imageUrl: '',
+    timeLimitSeconds: null,
+    options: [{ id: 'a', label: '' }, { id: 'b', label: '' }],
+    correctOptionIds: ['a']
+  };
+}
+
+// First q<n> id not used by another question
+function nextQuestionId() {
+  const used = new Set(editorQuiz.questions.map(q => q.id));
+  let n = editorQuiz.questions.length + 1;
+  while (used.has(`q${n}`)) n++;
+  return `q${n}`;
+}
+
+// First letter id not used by another option of the question
+function nextOptionId(options) {
+  const used = new Set(options.map(o => o.id));
+  for (let i = 0; i < 26; i++) {
+    const id = String.fromCharCode(97 + i);
+    if (!used.has(id)) return id;
+  }
+  return `o${options.length + 1}`;
+}
+
+// Make sure a question has the fields its type needs
+function ensureTypeFields(q) {
+  if (['multiple', 'multiselect', 'order'].includes(q.type)) {
+    if (!Array.isArray(q.options) || q.options.length < 2) q.options = [{ id: 'a', label: '' }, { id: 'b', label: '' }];
+    if (!Array.isArray(q.correctOptionIds)) q.correctOptionIds = [q.options[0].id];
+  }
+  if (q.type === 'truefalse' && typeof q.answer !== 'boolean') q.answer = true;
+  if (q.type === 'text' && !Array.isArray(q.acceptedAnswers)) q.acceptedAnswers = [''];
+  if (q.type === 'numeric' && typeof q.answer !== 'number') q.answer = 0;
+}
+
+// Load any quiz JSON into the editor, filling in what the editor needs
+function loadIntoEditor(quiz, libraryId = null) {
+  editorLibraryId = libraryId;
+  editorQuiz = {
+    ...quiz,
+    title: quiz.title || '',
+    defaultTimeLimitSeconds: quiz.defaultTimeLimitSeconds || 20,
+    questions: (Array.isArray(quiz.questions) ? quiz.questions : []).map(q => {
+      const copy = { imageUrl: '', timeLimitSeconds: null, ...q, type: q.type || 'multiple' };
+      ensureTypeFields(copy);
+      return copy;
+    })
+  };
+  if (!editorQuiz.questions.length) editorQuiz.questions.push(newQuestion('q1'));
+  renderEditor();
+}
+
+// The quiz as JSON the server accepts: only the fields each question type uses
+function toQuizJson() {
+  const quiz = { ...editorQuiz, title: editorQuiz.title.trim() };
+  if (!Array.isArray(quiz.tags) || !quiz.tags.length) delete quiz.tags;
+  if (!quiz.readingTimeSeconds) delete quiz.readingTimeSeconds;
+  quiz.questions = editorQuiz.questions.map(q => {
+    const out = { ...q };
+    if (!out.imageUrl) delete out.imageUrl;
+    if (!out.audioUrl) delete out.audioUrl;
+    if (!out.videoUrl) delete out.videoUrl;
+    if (!out.timeLimitSeconds) delete out.timeLimitSeconds;
+    if (!['multiple', 'multiselect', 'order'].includes(q.type)) delete out.options;
+    if (!['multiple', 'multiselect'].includes(q.type)) delete out.correctOptionIds;
+    if (!['truefalse', 'numeric'].includes(q.type)) delete out.answer;
+    if (q.type !== 'text') delete out.acceptedAnswers;
+    else out.acceptedAnswers = q.acceptedAnswers.map(a => a.trim()).filter(Boolean);
+    if (q.type !== 'numeric') {
+      delete out.tolerance;
+      delete out.closest;
+    }
+    if (q.type !== 'multiselect') delete out.partialCredit;
+    return out;
+  });
+  return quiz;
+}
+
+// Rebuild the question list from the model
+function renderEditor() {
+  ed.title.value = editorQuiz.title;
+  ed.tags.value = (editorQuiz.tags || []).join(', ');
+  ed.defaultTime.value = editorQuiz.defaultTimeLimitSeconds;
+  ed.readingTime.value = editorQuiz.readingTimeSeconds || 0;
+  ed.questions.innerHTML = '';
+  editorQuiz.questions.forEach((q, i) => ed.questions.appendChild(renderQuestionCard(q, i)));
+}
+
+// Move, duplicate or delete a question, then redraw
+function moveQuestion(i, by) {
+  const j = i + by;
+  if (j < 0 || j >= editorQuiz.questions.length) return;
+  const qs = editorQuiz.questions;
+  [qs[i], qs[j]] = [qs[j], qs[i]];
+  renderEditor();
+}
+
+function duplicateQuestion(i) {
+  const copy = JSON.parse(JSON.stringify(editorQuiz.questions[i]));
+  copy.id = nextQuestionId();
+  editorQuiz.questions.splice(i + 1, 0, copy);
+  renderEditor();
+}
+
+function deleteQuestion(i) {
+  if (editorQuiz.questions.length === 1) {
+    ed.msg.textContent = 'A quiz needs at least one question.';
+    return;
+  }
+  editorQuiz.questions.splice(i, 1);
+  renderEditor();
+}
+
+// One question card: text, image, time, type and the type-specific answer fields
+function renderQuestionCard(q, i) {
+  const typeSelect = makeEl('select', {
+    onchange: () => {
+      q.type = typeSelect.value;
+      ensureTypeFields(q);
+      renderEditor();
+    }
+  }, EDITOR_TYPES.map(([value, label]) => makeEl('option', { value, textContent: label })));
+  typeSelect.value = q.type;
+
+  const head = makeEl('div', { className: 'editor-q-head' }, [
+    makeEl('strong', { textContent: `Q${i + 1}` }),
+    typeSelect,
+    makeEl('span', { className: 'editor-spacer' }),
+    makeEl('button', { className: 'secondary', textContent: '↑', title: 'Move up', disabled: i === 0, onclick: () => moveQuestion(i, -1) }),
+    makeEl('button', { className: 'secondary', textContent: '↓', title: 'Move down', disabled: i === editorQuiz.questions.length - 1, onclick: () => moveQuestion(i, 1) }),
+    makeEl('button', { className: 'secondary', textContent: 'Duplicate', onclick: () => duplicateQuestion(i) }),
+    makeEl('button', { className: 'secondary', textContent: 'Preview', onclick: () => previewQuestion(i) }),
+    makeEl('button', { className: 'secondary danger', textContent: 'Delete', onclick: () => deleteQuestion(i) })
+  ]);
+
+  const text = makeEl('textarea', { rows: 2, maxLength: 500, placeholder: 'Question text', value: q.text, oninput: () => { q.text = text.value; } });
+  const image = makeEl('input', { type: 'url', placeholder: 'Image URL (optional)', value: q.imageUrl || '', oninput: () => { q.imageUrl = image.value.trim(); } });
+  const upload = uploadButton('Upload image/audio/video', 'image/*,audio/*,video/*', (url, file) => {
+    if (file.type.startsWith('image/')) {
+      q.imageUrl = url;
+    } else if (file.type.startsWith('audio/')) {
+      q.audioUrl = url;
+      delete q.videoUrl;
+    } else {
+      q.videoUrl = url;
+      delete q.audioUrl;
+    }
+  });
+  const time = makeEl('input', {
+    type: 'number', min: 5, max: 90, placeholder: 'default',
+    value: q.timeLimitSeconds || '',
+    oninput: () => { q.timeLimitSeconds = time.value ? Number(time.value) : null; }
+  });
+  const meta = makeEl('div', { className: 'editor-row' }, [
+    image,
+    upload,
+    makeEl('label', {}, ['Time ', time, ' s'])
+  ]);
+  if (q.audioUrl || q.videoUrl) {
+    meta.append(makeEl('span', { className: 'muted', textContent: q.videoUrl ? 'Video clip attached' : 'Audio clip attached' }),
+      makeEl('button', {
+        className: 'secondary', textContent: '✕', title: 'Remove clip',
+        onclick: () => {
+          delete q.audioUrl;
+          delete q.videoUrl;
+          renderEditor();
+        }
+      }));
+  }
+
+  return makeEl('div', { className: 'editor-q' }, [head, text, meta, renderAnswerFields(q)]);
+}
+
+// Answer fields for each question type
+function renderAnswerFields(q) {
+  const box = makeEl('div', { className: 'editor-answers' });
+
+  if (q.type === 'truefalse') {
+    const select = makeEl('select', { onchange: () => { q.answer = select.value === 'true'; } }, [
+      makeEl('option', { value: 'true', textContent: 'True' }),
+      makeEl('option', { value: 'false', textContent: 'False' })
+    ]);
+    select.value = String(q.answer);
+    box.append(makeEl('label', {}, ['Correct answer ', select]));
+    return box;
+  }
+
+  if (q.type === 'text') {
+    const accepted = makeEl('textarea', {
+      rows: 3,
+      placeholder: 'Accepted answers, one per line',
+      value: q.acceptedAnswers.join('\n'),
+      oninput: () => { q.acceptedAnswers = accepted.value.split('\n'); }
+    });
+    box.append(makeEl('div', { className: 'muted', textContent: 'Case, accents and punctuation are ignored.' }), accepted);
+    return box;
+  }
+
+  if (q.type === 'numeric') {
+    const answer = makeEl('input', { type: 'number', step: 'any', value: q.answer, oninput: () => { q.answer = Number(answer.value); } });
+    const tolerance = makeEl('input', { type: 'number', step: 'any', min: 0, value: q.tolerance || 0, oninput: () => { q.tolerance = Number(tolerance.value) || 0; } });
+    const closest = makeEl('input', { type: 'checkbox', checked: !!q.closest, onchange: () => { q.closest = closest.checked; } });
+    box.append(makeEl('div', { className: 'editor-row' }, [
+      makeEl('label', {}, ['Answer ', answer]),
+      makeEl('label', {}, ['± ', tolerance]),
+      makeEl('label', {}, [closest, ' Closest guess wins'])
+    ]));
+    return box;
+  }
+
+  // Option lists: multiple choice, select all, and ordering (listed in the correct order)
+  const isOrder = q.type === 'order';
+  const multi = q.type === 'multiselect';
+  if (isOrder) box.append(makeEl('div', { className: 'muted', textContent: 'List the items in the correct order; players see them shuffled.' }));
+  q.options.forEach((opt, idx) => {
+    const style = GLOBAL_ANSWER_STYLES[idx % GLOBAL_ANSWER_STYLES.length];
+    const label = makeEl('input', { type: 'text', maxLength: 100, placeholder: `Option ${idx + 1}`, value: opt.label, oninput: () => { opt.label = label.value; } });
+    const row = makeEl('div', { className: 'editor-option' }, [makeEl('span', { className: `editor-shape ${style.color}`, textContent: isOrder ? `${idx + 1}.` : style.shape })]);
+    if (!isOrder) {
+      const mark = makeEl('input', {
+        type: multi ? 'checkbox' : 'radio',
+        name: `correct-${q.id}`,
+        title: 'Correct answer',
+        checked: q.correctOptionIds.includes(opt.id)
+      });
+      mark.addEventListener('change', () => {
+        if (!multi) {
+          q.correctOptionIds = [opt.id];
+        } else if (mark.checked) {
+          q.correctOptionIds = [...q.correctOptionIds.filter(id => id !== opt.id), opt.id];
+        } else {
+          q.correctOptionIds = q.correctOptionIds.filter(id => id !== opt.id);
+        }
+      });
+      row.append(mark);
+    }
+    row.append(label);
+    if (opt.imageUrl) {
+      row.append(
+        makeEl('img', { className: 'editor-thumb', src: opt.imageUrl, alt: '' }),
+        makeEl('button', { className: 'secondary', textContent: '✕', title: 'Remove picture', onclick: () => { delete opt.imageUrl; renderEditor(); } })
+      );
+    } else {
+      row.append(uploadButton('🖼', 'image/*', url => { opt.imageUrl = url; }));
+    }
+    if (isOrder) {
+      row.append(
+        makeEl('button', { className: 'secondary', textContent: '↑', disabled: idx === 0, onclick: () => { swapOptions(q, idx, idx - 1); } }),
+        makeEl('button', { className: 'secondary', textContent: '↓', disabled: idx === q.options.length - 1, onclick: () => { swapOptions(q, idx, idx + 1); } })
+      );
+    }
+    row.append(makeEl('button', {
+      className: 'secondary', textContent: '✕', title: 'Remove option', disabled: q.options.length <= 2,
+      onclick: () => {
+        q.options.splice(idx, 1);
+        q.correctOptionIds = (q.correctOptionIds || []).filter(id => id !== opt.id);
+        if (!isOrder && !q.correctOptionIds.length) q.correctOptionIds = [q.options[0].id];
+        renderEditor();
+      }
+    }));
+    box.append(row);
+  });
+  box.append(makeEl('button', {
+    className: 'secondary',
+    textContent: '+ Add option',
+    disabled: q.options.length >= MAX_EDITOR_OPTIONS,
+    onclick: () => {
+      q.options.push({ id: nextOptionId(q.options), label: '' });
+      renderEditor();
+    }
+  }));
+  if (multi) {
+    const partial = makeEl('input', { type: 'checkbox', checked: !!q.partialCredit, onchange: () => { q.partialCredit = partial.checked; } });
+    box.append(makeEl('label', {}, [partial, ' Partial credit']));
+  }
+  return box;
+}
+
+// Upload a file to this quiz's media folder on the server and return its URL
+async function uploadMedia(file) {
+  const url = editorQuiz.mediaFolder ? `/api/media?folder=${editorQuiz.mediaFolder}` : '/api/media';
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    body: file
+  });
+  let data = {};
+  try { data = await res.json(); } catch {}
+  if (!res.ok) throw new Error(data.error || (res.status === 413 ? 'The file is too large.' : 'Upload failed.'));
+  editorQuiz.mediaFolder = data.folder;
+  return data.url;
+}
+
+// File picker styled as a button; onUploaded(url, file) runs before the editor redraws
+function uploadButton(text, accept, onUploaded) {
+  const input = makeEl('input', { type: 'file', accept });
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+    ed.msg.textContent = `Uploading ${file.name}…`;
+    try {
+      onUploaded(await uploadMedia(file), file);
+    } catch (e) {
+      ed.msg.textContent = e.message;
+      return;
+    }
+    ed.msg.textContent = `Uploaded ${file.name}.`;
+    renderEditor();
+  });
+  return makeEl('label', { className: 'file-label', title: text }, [input, makeEl('span', { textContent: text })]);
+}
+
+function swapOptions(q, i, j) {
+  [q.options[i], q.options[j]] = [q.options[j], q.options[i]];
+  renderEditor();
+}
+
+// Show a question roughly as players will see it
+function previewQuestion(i) {
+  const q = editorQuiz.questions[i];
+  ed.pvIndex.textContent = i + 1;
+  ed.pvTotal.textContent = editorQuiz.questions.length;
+  ed.pvText.textContent = q.text || '(no question text)';
+  renderMedia(ed.pvMedia, q, false);
+  ed.pvTimer.textContent = `Time left: ${q.timeLimitSeconds || editorQuiz.defaultTimeLimitSeconds}s`;
+
+  ed.pvAnswers.innerHTML = '';
+  if (q.type === 'text' || q.type === 'numeric') {
+    ed.pvAnswers.append(makeEl('div', { className: 'typed-answer' }, [
+      makeEl('input', { type: q.type === 'numeric' ? 'number' : 'text', placeholder: q.type === 'numeric' ? 'Enter a number' : 'Type your answer' }),
+      makeEl('button', { className: 'primary', textContent: 'Submit' })
+    ]));
+  } else {
+    const options = q.type === 'truefalse'
+      ? [{ label: 'True' }, { label: 'False' }]
+      : q.type === 'order' ? shuffleArray(q.options) : q.options;
+    options.forEach((opt, idx) => {
+      ed.pvAnswers.append(createAnswerTile({ ...opt, label: opt.label || `Option ${idx + 1}` }, idx));
+    });
+    if (q.type === 'multiselect' || q.type === 'order') {
+      ed.pvAnswers.append(makeEl('div', { className: 'answer-controls' }, [
+        makeEl('span', { className: 'muted', textContent: q.type === 'order' ? 'Tap the items in order' : 'Select all that apply' }),
+        makeEl('button', { className: 'primary', textContent: 'Submit' })
+      ]));
+    }
+  }
+  ed.preview.classList.remove('hidden');
+  ed.preview.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Quizzes saved in browser storage: { [title]: quiz }
+function loadSavedQuizzes() {
+  try { return JSON.parse(localStorage.getItem(EDITOR_STORAGE_KEY)) || {}; } catch { return {}; }
+}
+
+// The server only lets the browser holding a library quiz's edit key replace or delete it
+const loadLibraryKeys = () => { try { return JSON.parse(localStorage.getItem(LIBRARY_KEYS_KEY)) || {}; } catch { return {}; } };
+const saveLibraryKeys = keys => { try { localStorage.setItem(LIBRARY_KEYS_KEY, JSON.stringify(keys)); } catch {} };
+const libraryQuizUrl = id => `/api/quizzes/${id}?key=${encodeURIComponent(loadLibraryKeys()[id] || '')}`;
+
+function renderSavedList() {
+  const saved = loadSavedQuizzes();
+  ed.savedList.innerHTML = '';
+  ed.savedList.append(makeEl('option', { value: '', textContent: 'Saved quizzes…' }));
+  Object.keys(saved).sort().forEach(title => ed.savedList.append(makeEl('option', { value: title, textContent: title })));
+}
+
+// Toolbar
+ed.openBtn.addEventListener('click', async () => {
+  // Open the chosen JSON file in the editor, if there is one
+  const file = el.jsonFile.files[0];
+  if (file) {
+    try {
+      loadIntoEditor((await readQuizFile(file)).quiz);
+    } catch (e) {
+      el.createMsg.textContent = e.message;
+      return;
+    }
+  } else {
+    renderEditor();
+  }
+  renderSavedList();
+  el.editor.classList.remove('hidden');
+});
+
+ed.closeBtn.addEventListener('click', () => el.editor.classList.add('hidden'));
+ed.previewClose.addEventListener('click', () => ed.preview.classList.add('hidden'));
+
+ed.title.addEventListener('input', () => { editorQuiz.title = ed.title.value; });
+ed.tags.addEventListener('input', () => {
+  editorQuiz.tags = ed.tags.value.split(',').map(t => t.trim()).filter(Boolean);
+});
+ed.defaultTime.addEventListener('input', () => { editorQuiz.defaultTimeLimitSeconds = Number(ed.defaultTime.value) || 20; });
+ed.readingTime.addEventListener('input', () => { editorQuiz.readingTimeSeconds = Number(ed.readingTime.value) || 0; });
+
+ed.newBtn.addEventListener('click', () => {
+  editorQuiz = newQuiz();
+  editorLibraryId = null;
+  ed.msg.textContent = '';
+  renderEditor();
+});
+
+ed.addBtn.addEventListener('click', () => {
+  editorQuiz.questions.push(newQuestion(nextQuestionId()));
+  renderEditor();
+});
+
+ed.loadFile.addEventListener('change', async () => {
+  const file = ed.loadFile.files[0];
+  if (!file) return;
+  try {
+    loadIntoEditor((await readQuizFile(file)).quiz);
+    ed.msg.textContent = `Loaded ${file.name}.`;
+  } catch (e) {
+    ed.msg.textContent = e.message;
+  }
+  ed.loadFile.value = '';
+});
+
+ed.saveFileBtn.addEventListener('click', () => {
+  const quiz = toQuizJson();
+  const blob = new Blob([JSON.stringify(quiz, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const slug = (quiz.title || 'quiz').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz';
+  makeEl('a', { href: url, download: `${slug}.json` }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+ed.saveLocalBtn.addEventListener('click', () => {
+  const quiz = toQuizJson();
+  if (!quiz.title) {
+    ed.msg.textContent = 'Give the quiz a title before saving.';
+    return;
+  }
+  const saved = loadSavedQuizzes();
+  saved[quiz.title] = quiz;
+  try {
+    localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify(saved));
+    ed.msg.textContent = `Saved "${quiz.title}" in this browser.`;
+  } catch {
+    ed.msg.textContent = 'Could not save (browser storage full or disabled).';
+  }
+  renderSavedList();
+  ed.savedList.value = quiz.title;
+});
+
+ed.savedList.addEventListener('change', () => {
+  const quiz = loadSavedQuizzes()[ed.savedList.value];
+  if (!quiz) return;
+  loadIntoEditor(quiz);
+  ed.msg.textContent = `Loaded "${quiz.title}".`;
+});
+
+ed.deleteLocalBtn.addEventListener('click', () => {
+  const title = ed.savedList.value;
+  if (!title) return;
+  const saved = loadSavedQuizzes();
+  delete saved[title];
+  try { localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify(saved)); } catch {}
+  renderSavedList();
+  ed.msg.textContent = `Deleted "${title}".`;
+});
+
+// Save to the server library: updates the saved quiz when editing one, otherwise adds a new one
+ed.saveLibraryBtn.addEventListener('click', async () => {
+  const quiz = toQuizJson();
+  const url = editorLibraryId ? libraryQuizUrl(editorLibraryId) : '/api/quizzes';
+  try {
+    const res = await fetch(url, {
+      method: editorLibraryId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(quiz)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      showCreateErrors(ed.msg, data.error || 'Could not save to the library.', data.errors);
+      return;
+    }
+    editorLibraryId = data.id;
+    if (data.key) saveLibraryKeys({ ...loadLibraryKeys(), [data.id]: data.key });
+    ed.msg.textContent = `Saved "${quiz.title}" to the library.`;
+    refreshLibrary();
+  } catch {
+    ed.msg.textContent = 'Could not reach the server.';
+  }
+});
+
+ed.hostBtn.addEventListener('click', () => {
+  ed.msg.textContent = '';
+  createGame(toQuizJson(), ed.msg);
+});
@@ -0,0 +1,121 @@
+// public/homework.js
+// Self-paced homework on the host page: publish the chosen quiz with a deadline, share the
+// player link and view everyone's combined results. Loaded after library.js and reuses its
+// libraryFetch, plus el, readQuizFile, showCreateErrors and makeEl.
+
+const hw = {
+  deadline: byId('homeworkDeadline'),
+  publishBtn: byId('publishHomeworkBtn'),
+  msg: byId('homeworkMsg'),
+  list: byId('homeworkList'),
+  results: byId('homeworkResults')
+};
+
+// Published assignments (with their results keys) are remembered in this browser only
+const HOMEWORK_KEY = 'nanoquiz:homework';
+const loadHomework = () => { try { return JSON.parse(localStorage.getItem(HOMEWORK_KEY)) || []; } catch { return []; } };
+const saveHomework = list => { try { localStorage.setItem(HOMEWORK_KEY, JSON.stringify(list)); } catch {} };
+
+// Value for a datetime-local input, in local time
+function toLocalInputValue(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+const homeworkLink = id => `${location.origin}/player.html?assignment=${encodeURIComponent(id)}`;
+
+function renderHomeworkList() {
+  const list = loadHomework();
+  hw.list.innerHTML = '';
+  list.forEach(a => {
+    const link = homeworkLink(a.id);
+    const due = new Date(a.deadline);
+    hw.list.appendChild(makeEl('li', { className: 'library-item' }, [
+      makeEl('span', { className: 'library-title', textContent: a.title }),
+      makeEl('span', { className: 'muted', textContent: `${due > new Date() ? 'Due' : 'Closed'} ${due.toLocaleString()}` }),
+      makeEl('a', { className: 'join-url', href: link, target: '_blank', textContent: link }),
+      makeEl('button', { className: 'secondary', textContent: 'Results', onclick: () => showHomeworkResults(a) }),
+      makeEl('button', { className: 'secondary danger', textContent: 'Forget', onclick: () => forgetHomework(a) })
+    ]));
+  });
+}
+
+function forgetHomework(assignment) {
+  if (!confirm(`Remove "${assignment.title}" from this list? Its results can no longer be opened here.`)) return;
+  saveHomework(loadHomework().filter(a => a.id !== assignment.id));
+  hw.results.classList.add('hidden');
+  renderHomeworkList();
+}
+
+// Combined leaderboard for everyone who took part, with the full report as CSV or JSON
+async function showHomeworkResults(assignment) {
+  const base = `/api/assignments/${encodeURIComponent(assignment.id)}/results?key=${encodeURIComponent(assignment.key)}`;
+  let report;
+  try {
+    report = await libraryFetch(base);
+  } catch (e) {
+    hw.msg.textContent = e.message;
+    return;
+  }
+  const rows = report.players.map(p => makeEl('tr', {}, [
+    makeEl('td', { textContent: p.rank }),
+    makeEl('td', { textContent: p.name }),
+    makeEl('td', { textContent: p.score.toLocaleString() }),
+    makeEl('td', { textContent: `${p.correctCount}/${report.questions.length}` }),
+    makeEl('td', { textContent: p.finished ? new Date(p.finishedAt).toLocaleString() : 'In progress' })
+  ]));
+  const head = makeEl('tr', {}, ['#', 'Player', 'Score', 'Correct', 'Finished'].map(h => makeEl('th', { textContent: h })));
+  hw.results.innerHTML = '';
+  hw.results.append(
+    makeEl('h4', { textContent: `${report.title}: ${report.players.length} ${report.players.length === 1 ? 'player' : 'players'}` }),
+    report.players.length
+      ? makeEl('table', { className: 'homework-table' }, [head, ...rows])
+      : makeEl('p', { className: 'muted', textContent: 'Nobody has taken this quiz yet.' }),
+    makeEl('div', { className: 'report-links' }, [
+      makeEl('span', { className: 'muted', textContent: 'Download report:' }),
+      makeEl('a', { className: 'primary', href: `${base}&format=csv`, download: '', textContent: 'CSV' }),
+      makeEl('a', { className: 'primary', href: base, download: '', textContent: 'JSON' })
+    ])
+  );
+  hw.results.classList.remove('hidden');
+}
+
+el.jsonFile.addEventListener('change', () => {
+  hw.publishBtn.disabled = !el.jsonFile.files[0];
+});
+
+// Publish the chosen file (CSV and Markdown are converted first) as homework
+hw.publishBtn.addEventListener('click', async () => {
+  const file = el.jsonFile.files[0];
+  if (!file) return;
+  const deadline = new Date(hw.deadline.value);
+  if (!hw.deadline.value || Number.isNaN(deadline.getTime())) {
+    hw.msg.textContent = 'Choose a deadline.';
+    return;
+  }
+  let quiz;
+  try {
+    quiz = (await readQuizFile(file)).quiz;
+  } catch (e) {
+    hw.msg.textContent = e.message;
+    return;
+  }
+  let assignment;
+  try {
+    assignment = await libraryFetch('/api/assignments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ quiz, deadline: deadline.toISOString() })
+    });
+  } catch (e) {
+    showCreateErrors(hw.msg, e.message, e.errors);
+    return;
+  }
+  saveHomework([assignment, ...loadHomework()]);
+  hw.msg.textContent = `Published "${assignment.title}". Share the link below with your players.`;
+  renderHomeworkList();
+});
+
+// Default deadline: a week from now
+hw.deadline.value = toLocalInputValue(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+renderHomeworkList();
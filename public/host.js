@@ -1,33 +1,93 @@
 // public/host.js
 const socket = io();
+startClockSync(socket);
 let gameId = null;
 let payload = null;
+let importedQuiz = null; // quiz shown in the import preview
+let shownOptions = []; // options of the question on screen, for labelling the reveal chart
+let hostTimerInterval = null;
+let hostTimerEnd = null;
+let readyInterval = null; // 3-2-1 countdown during a question's reading time
+let advanceInterval = null; // auto-advance countdown during a reveal
+const EXTRA_SECONDS = 10; // time added by the +10s button
+
+// Host session, kept across reloads so a refreshed tab can reclaim its game
+const HOST_SESSION_KEY = 'nanoquiz:host';
+const loadHostSession = () => { try { return JSON.parse(localStorage.getItem(HOST_SESSION_KEY)); } catch { return null; } };
+const saveHostSession = session => { try { localStorage.setItem(HOST_SESSION_KEY, JSON.stringify(session)); } catch {} };
+const clearHostSession = () => { try { localStorage.removeItem(HOST_SESSION_KEY); } catch {} };
 
 // Utility to get element by ID
 const byId = id => document.getElementById(id);
 const el = {
   title: byId('title'),
+  notice: byId('notice'),
   create: byId('create'),
+  editor: byId('editor'),
   jsonFile: byId('jsonFile'),
   createBtn: byId('createBtn'),
   createMsg: byId('createMsg'),
+  importPreview: byId('importPreview'),
+  importTitle: byId('importTitle'),
+  importWarnings: byId('importWarnings'),
+  importQuestions: byId('importQuestions'),
+  importMsg: byId('importMsg'),
+  importCreateBtn: byId('importCreateBtn'),
+  importEditBtn: byId('importEditBtn'),
+  importCancelBtn: byId('importCancelBtn'),
+  teamMode: byId('teamMode'),
+  teamNames: byId('teamNames'),
+  teamScoring: byId('teamScoring'),
+  autoAdvance: byId('autoAdvance'),
+  autoAdvanceDelay: byId('autoAdvanceDelay'),
+  autoAdvanceSeconds: byId('autoAdvanceSeconds'),
   lobby: byId('lobby'),
   players: byId('players'),
+  lobbyTeams: byId('lobbyTeams'),
+  playPlayers: byId('playPlayers'),
+  lockLobby: byId('lockLobby'),
+  requireApproval: byId('requireApproval'),
+  pendingBlock: byId('pendingBlock'),
+  pendingPlayers: byId('pendingPlayers'),
   startBtn: byId('startBtn'),
   gameIdText: byId('gameId'),
+  joinUrl: byId('joinUrl'),
+  joinQr: byId('joinQr'),
+  projectorBtn: byId('projectorBtn'),
+  displayLink: byId('displayLink'),
   play: byId('play'),
   qText: byId('qText'),
-  qImage: byId('qImage'),
+  qMedia: byId('qMedia'),
   answers: byId('answers'),
+  stats: byId('stats'),
   qIndex: byId('qIndex'),
   qTotal: byId('qTotal'),
+  qMultiplier: byId('qMultiplier'),
   nextBtn: byId('nextBtn'),
+  advanceControls: byId('advanceControls'),
+  advanceTimer: byId('advanceTimer'),
+  advancePauseBtn: byId('advancePauseBtn'),
+  roundControls: byId('roundControls'),
+  hostTimer: byId('hostTimer'),
+  pauseBtn: byId('pauseBtn'),
+  addTimeBtn: byId('addTimeBtn'),
+  closeQuestionBtn: byId('closeQuestionBtn'),
+  skipBtn: byId('skipBtn'),
+  endGameBtn: byId('endGameBtn'),
   music: byId('music'),
   reveal: byId('reveal'),
   leaderboard: byId('leaderboard'),
   board: byId('board'),
+  teamBoardWrap: byId('teamBoardWrap'),
+  teamBoard: byId('teamBoard'),
+  teamPodium: byId('teamPodium'),
   over: byId('over'),
+  podium: byId('podium'),
+  awards: byId('awards'),
   finalBoard: byId('finalBoard'),
+  reportLinks: byId('reportLinks'),
+  reportCsv: byId('reportCsv'),
+  reportJson: byId('reportJson'),
   cancelled: byId('cancelled'),
   cancelReason: byId('cancelReason'),
   backToCreateBtn: document.getElementById('backToCreateBtn')
@@ -37,34 +97,239 @@ const el = {
 el.jsonFile.addEventListener('change', () => {
   el.createBtn.disabled = !el.jsonFile.files[0];
   el.createMsg.textContent = '';
+  hideImportPreview();
+});
+
+// Team mode settings only show when it is switched on
+el.teamMode.addEventListener('change', () => {
+  el.teamNames.classList.toggle('hidden', !el.teamMode.checked);
+  el.teamScoring.classList.toggle('hidden', !el.teamMode.checked);
 });
 
-// Handle create game
+el.autoAdvance.addEventListener('change', () => {
+  el.autoAdvanceDelay.classList.toggle('hidden', !el.autoAdvance.checked);
+});
+
+// Handle create game: JSON files start straight away, imported files are previewed first
 el.createBtn.addEventListener('click', async () => {
   const file = el.jsonFile.files[0];
   if (!file) return;
+  let imported;
   try {
-    const text = await file.text();
-    payload = JSON.parse(text);
-  } catch {
-    el.createMsg.textContent = 'Invalid JSON.';
+    imported = await readQuizFile(file);
+  } catch (e) {
+    el.createMsg.textContent = e.message;
     return;
   }
-  socket.emit('host:createGame', payload, (res) => {
-  if (!res.ok) {
-    el.createMsg.textContent = res.error || 'Failed to create game.';
-    return;
+  if (isJsonFile(file)) createGame(imported.quiz);
+  else showImportPreview(imported);
+});
+
+const isJsonFile = file => /\.json$/i.test(file.name);
+
+// Read a quiz file: JSON is parsed here, CSV and Markdown are converted by the server.
+// Resolves to {quiz, warnings, errors}; rejects with a readable message.
+async function readQuizFile(file) {
+  const text = await file.text();
+  if (isJsonFile(file)) {
+    try {
+      return { quiz: JSON.parse(text), warnings: [], errors: [] };
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
   }
+  let res, data;
+  try {
+    res = await fetch('/api/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: file.name, text })
+    });
+    data = await res.json();
+  } catch {
+    throw new Error('Could not import the file.');
+  }
+  if (!res.ok) throw new Error(data.error || 'Could not import the file.');
+  return data;
+}
+
+// Show an imported quiz question by question before the game is created
+function showImportPreview({ quiz, warnings, errors }) {
+  importedQuiz = quiz;
+  el.createMsg.textContent = '';
+  el.importTitle.textContent = quiz.title || '(untitled)';
+  el.importWarnings.innerHTML = '';
+  warnings.forEach(w => {
+    const li = document.createElement('li');
+    li.textContent = w;
+    el.importWarnings.appendChild(li);
+  });
+  el.importQuestions.innerHTML = '';
+  quiz.questions.forEach(q => el.importQuestions.appendChild(renderImportedQuestion(q)));
+  if (errors.length) showCreateErrors(el.importMsg, 'Fix these problems before hosting (or open the quiz in the editor):', errors);
+  else el.importMsg.textContent = '';
+  el.importCreateBtn.disabled = errors.length > 0;
+  el.importPreview.classList.remove('hidden');
+}
+
+function renderImportedQuestion(q) {
+  const li = document.createElement('li');
+  const head = document.createElement('div');
+  const time = q.timeLimitSeconds ? ` · ${q.timeLimitSeconds}s` : '';
+  const text = document.createElement('strong');
+  text.textContent = q.text;
+  const meta = document.createElement('span');
+  meta.className = 'muted';
+  meta.textContent = `(${q.type || 'multiple'}${time})`;
+  head.append(text, ' ', meta);
+  li.appendChild(head);
+
+  const details = document.createElement('div');
+  details.className = 'muted';
+  if (Array.isArray(q.options)) {
+    const correct = q.correctOptionIds || [];
+    details.textContent = q.options
+      .map(o => (q.type === 'order' || !correct.includes(o.id) ? o.label : `✔ ${o.label}`))
+      .join(q.type === 'order' ? ' > ' : ' · ');
+  } else if (q.type === 'text') {
+    details.textContent = `Accepted: ${(q.acceptedAnswers || []).join(', ')}`;
+  } else {
+    const tolerance = q.tolerance ? ` ± ${q.tolerance}` : '';
+    details.textContent = `Answer: ${q.answer}${tolerance}`;
+  }
+  li.appendChild(details);
+  return li;
+}
+
+function hideImportPreview() {
+  importedQuiz = null;
+  el.importPreview.classList.add('hidden');
+}
+
+el.importCreateBtn.addEventListener('click', () => createGame(importedQuiz, el.importMsg));
+// loadIntoEditor comes from editor.js, which is loaded after this file
+el.importEditBtn.addEventListener('click', () => {
+  loadIntoEditor(importedQuiz);
+  hideImportPreview();
+  el.editor.classList.remove('hidden');
+  el.editor.scrollIntoView({ behavior: 'smooth' });
+});
+el.importCancelBtn.addEventListener('click', hideImportPreview);
+
+// Create a game from a quiz object (uploaded JSON or the quiz editor)
+function createGame(quiz, msgEl = el.createMsg) {
+  payload = quiz;
+  if (el.teamMode.checked) {
+    const names = el.teamNames.value.split(',').map(n => n.trim()).filter(Boolean);
+    if (names.length < 2) {
+      msgEl.textContent = 'Enter at least two team names.';
+      return;
+    }
+    payload = { ...payload, teams: { names, scoring: el.teamScoring.value } };
+  }
+  if (el.autoAdvance.checked) {
+    const seconds = Math.round(Number(el.autoAdvanceSeconds.value));
+    if (!(seconds >= 3 && seconds <= 60)) {
+      msgEl.textContent = 'Auto-advance needs between 3 and 60 seconds.';
+      return;
+    }
+    payload = { ...payload, autoAdvanceSeconds: seconds };
+  }
+  socket.emit('host:createGame', payload, (res) => {
+    if (!res.ok) {
+      showCreateErrors(msgEl, res.error || 'Failed to create game.', res.errors);
+      return;
+    }
     gameId = res.gameId;
-    el.title.textContent = payload.title || 'Quiz';
-    el.gameIdText.textContent = gameId;
+    saveHostSession({ gameId, hostToken: res.hostToken });
+    showLobby(payload.title);
+  });
+}
 
-    el.lobby.classList.remove('hidden');
-    // SAFELY hide the create section:
-    if (el.create) el.create.classList.add('hidden');
+// Show a message plus the validator's list of {path, message} errors
+function showCreateErrors(msgEl, message, errors) {
+  msgEl.textContent = message;
+  if (!Array.isArray(errors) || errors.length === 0) return;
+  const list = document.createElement('ul');
+  list.className = 'error-list';
+  errors.forEach(err => {
+    const li = document.createElement('li');
+    const path = document.createElement('code');
+    path.textContent = err.path || '(quiz)';
+    li.appendChild(path);
+    li.appendChild(document.createTextNode(` ${err.message}`));
+    list.appendChild(li);
+  });
+  msgEl.appendChild(list);
+}
 
-    el.startBtn.disabled = false;
-    });
+// Show the lobby for the current game
+function showLobby(title) {
+  el.title.textContent = title || 'Quiz';
+  el.gameIdText.textContent = gameId;
+  showJoinLink();
+
+  el.lobby.classList.remove('hidden');
+  // SAFELY hide the create section:
+  if (el.create) el.create.classList.add('hidden');
+  if (el.editor) el.editor.classList.add('hidden');
+
+  el.startBtn.disabled = false;
+}
+
+// Join link and QR code; scanning it opens the name prompt for this game
+function showJoinLink() {
+  const url = `${location.origin}/player.html?game=${encodeURIComponent(gameId)}`;
+  el.joinUrl.href = url;
+  el.joinUrl.textContent = url.replace(/^https?:\/\//, '');
+  drawQrCode(el.joinQr, url);
+  // Read-only game view for a projector, so the host can run the game from another device
+  el.displayLink.href = `/display.html?game=${encodeURIComponent(gameId)}`;
+}
+
+// Full-screen lobby for a projector: join details and players, without the host controls
+el.projectorBtn.addEventListener('click', () => {
+  if (document.fullscreenElement) document.exitFullscreen();
+  else el.lobby.requestFullscreen().catch(() => {});
+});
+document.addEventListener('fullscreenchange', () => {
+  el.projectorBtn.textContent = document.fullscreenElement ? 'Exit projector view' : 'Projector view';
+});
+
+// (Re)connected: reclaim a game this tab was hosting before a reload or dropped connection
+socket.on('connect', () => {
+  const session = loadHostSession();
+  if (!session) return;
+  socket.emit('host:resume', session, (res) => {
+    if (!res?.ok) {
+      clearHostSession();
+      return;
+    }
+    gameId = res.gameId;
+    el.cancelled.classList.add('hidden');
+    if (res.phase === 'lobby') {
+      showLobby(res.title);
+      return;
+    }
+    el.title.textContent = res.title || 'Quiz';
+    if (el.create) el.create.classList.add('hidden');
+    if (el.editor) el.editor.classList.add('hidden');
+    el.lobby.classList.add('hidden');
+    el.play.classList.remove('hidden');
+    if (res.phase === 'preview') {
+      noteServerTime(res.serverNow);
+      renderPreview(res.question, res.startMs);
+    } else if (res.phase === 'question') {
+      noteServerTime(res.serverNow);
+      renderQuestion(res.question, res.endMs);
+      if (res.paused) showHostTimerPaused();
+    } else if (res.phase === 'reveal' && res.reveal) {
+      renderQuestion(res.question);
+      renderReveal(res.reveal);
+      el.nextBtn.classList.remove('hidden');
+      if (res.advance) showAdvance(res.advance);
+    }
+  });
 });
 
 // Handle start game
@@ -74,15 +339,97 @@ el.startBtn.addEventListener('click', () => {
 });
 
 // Listen for lobby updates
-socket.on('lobby:update', ({ players, gameId: gid, title }) => {
-  if (gameId && gid !== gameId) return;
+// Player list with kick, ban and rename controls, in the lobby and in the game's player panel
+socket.on('host:roster', ({ players, pending, teams, locked, requireApproval }) => {
+  el.lockLobby.checked = locked;
+  el.requireApproval.checked = requireApproval;
+  renderPendingPlayers(pending);
   el.players.innerHTML = '';
-  players.forEach(name => {
+  el.playPlayers.innerHTML = '';
+  el.players.classList.toggle('hidden', !!teams);
+  el.lobbyTeams.classList.toggle('hidden', !teams);
+  players.forEach(p => el.playPlayers.appendChild(renderRosterPlayer(p)));
+  if (teams) {
+    // Team mode: group players under their team
+    el.lobbyTeams.innerHTML = '';
+    teams.forEach(name => {
+      const members = players.filter(p => p.team === name);
+      const col = document.createElement('div');
+      col.className = 'lobby-team';
+      const h = document.createElement('h4');
+      h.textContent = `${name} (${members.length})`;
+      const ul = document.createElement('ul');
+      members.forEach(p => ul.appendChild(renderRosterPlayer(p)));
+      col.append(h, ul);
+      el.lobbyTeams.appendChild(col);
+    });
+    return;
+  }
+  players.forEach(p => el.players.appendChild(renderRosterPlayer(p)));
+});
+
+function renderRosterPlayer(p) {
+  const li = document.createElement('li');
+  li.className = 'roster-player';
+  const name = document.createElement('span');
+  name.textContent = p.connected ? p.name : `${p.name} (offline)`;
+  if (!p.connected) name.className = 'muted';
+  li.appendChild(name);
+  [
+    ['Rename', () => renamePlayer(p)],
+    ['Kick', () => kickPlayer(p, false)],
+    ['Ban', () => kickPlayer(p, true)]
+  ].forEach(([label, onclick]) => {
+    const btn = document.createElement('button');
+    btn.className = label === 'Rename' ? 'secondary small' : 'secondary small danger';
+    btn.textContent = label;
+    btn.onclick = onclick;
+    li.appendChild(btn);
+  });
+  return li;
+}
+
+// Players waiting for the host to let them in (when approval is switched on)
+function renderPendingPlayers(pending) {
+  el.pendingBlock.classList.toggle('hidden', pending.length === 0);
+  el.pendingPlayers.innerHTML = '';
+  pending.forEach(p => {
     const li = document.createElement('li');
-    li.textContent = name;
-    el.players.appendChild(li);
+    li.className = 'roster-player';
+    const name = document.createElement('span');
+    name.textContent = p.name;
+    li.appendChild(name);
+    [['Let in', true], ['Deny', false]].forEach(([label, approve]) => {
+      const btn = document.createElement('button');
+      btn.className = approve ? 'primary small' : 'secondary small danger';
+      btn.textContent = label;
+      btn.onclick = () => socket.emit('host:approvePlayer', { gameId, playerId: p.id, approve });
+      li.appendChild(btn);
+    });
+    el.pendingPlayers.appendChild(li);
   });
-});
+}
+
+[el.lockLobby, el.requireApproval].forEach(box => box.addEventListener('change', () => {
+  socket.emit('host:setLobby', { gameId, locked: el.lockLobby.checked, requireApproval: el.requireApproval.checked });
+}));
+
+function renamePlayer(p) {
+  const name = prompt(`New name for ${p.name}:`, p.name);
+  if (name == null || name.trim() === p.name) return;
+  socket.emit('host:renamePlayer', { gameId, playerId: p.id, name }, res => {
+    if (!res.ok) alert(res.error || 'Could not rename the player');
+  });
+}
+
+// Remove a player; a ban also stops their name and device from joining again
+function kickPlayer(p, ban) {
+  const question = ban ? `Ban ${p.name} from this game? They won't be able to rejoin.` : `Remove ${p.name} from the game?`;
+  if (!confirm(question)) return;
+  socket.emit('host:kickPlayer', { gameId, playerId: p.id, ban }, res => {
+    if (!res.ok) alert(res.error || 'Could not remove the player');
+  });
+}
 
 // Game started
 socket.on('game:started', () => {
@@ -91,116 +438,352 @@ socket.on('game:started', () => {
   el.play.classList.remove('hidden');
 });
 
+// The host dropped the question unscored; the next one follows straight away
+socket.on('question:skipped', () => {
+  el.notice.textContent = 'Question skipped. Nobody scores points for it.';
+  el.notice.classList.remove('hidden');
+  setTimeout(() => el.notice.classList.add('hidden'), 4000);
+});
+
 // Handle question display and answers
-socket.on('question:show', (q) => {
+socket.on('question:show', q => {
+  noteServerTime(q.serverNow);
+  renderQuestion(q, q.endMs);
+});
+
+// Reading time before the options appear
+socket.on('question:preview', q => {
+  noteServerTime(q.serverNow);
+  renderPreview(q, q.startMs);
+});
+
+// Show just the question with a 3-2-1 countdown to startMs, when answers open.
+// Only skipping works until then; the other round controls need a running clock.
+function renderPreview(q, startMs) {
+  clearInterval(readyInterval);
+  stopHostTimer();
+  stopAdvance();
+  el.nextBtn.classList.add('hidden');
+  el.roundControls.classList.remove('hidden');
+  setClockControlsEnabled(false);
+  el.hostTimer.textContent = 'Get ready';
+  el.stats.classList.add('hidden');
+  el.over.classList.add('hidden');
+
+  el.qText.textContent = q.text;
+  el.qIndex.textContent = (q.index + 1);
+  el.qTotal.textContent = q.total;
+  renderMultiplier(el.qMultiplier, q.multiplier);
+  renderMedia(el.qMedia, q, false);
+
+  el.answers.innerHTML = '';
+  const ready = document.createElement('div');
+  ready.className = 'get-ready';
+  el.answers.appendChild(ready);
+  readyInterval = countdownTo(startMs, secLeft => { ready.textContent = secLeft || 'Go!'; });
+}
+
+function setClockControlsEnabled(enabled) {
+  [el.pauseBtn, el.addTimeBtn, el.closeQuestionBtn].forEach(btn => { btn.disabled = !enabled; });
+}
+
+// Show a question and its (inactive) answer layout, counting down to endMs (server clock)
+function renderQuestion(q, endMs) {
   // Prepare UI
+  clearInterval(readyInterval);
+  stopAdvance();
   el.nextBtn.classList.add('hidden');
+  el.roundControls.classList.remove('hidden');
+  setClockControlsEnabled(true);
+  if (endMs) startHostTimer(endMs);
+  else stopHostTimer();
+  el.stats.classList.add('hidden');
   // Do NOT hide leaderboard here
   el.over.classList.add('hidden');
 
   el.qText.textContent = q.text;
   el.qIndex.textContent = (q.index + 1);
   el.qTotal.textContent = q.total;
+  renderMultiplier(el.qMultiplier, q.multiplier);
 
-  if (q.imageUrl) {
-    el.qImage.src = q.imageUrl;
-    el.qImage.classList.remove('hidden');
-  } else {
-    el.qImage.classList.add('hidden');
-  }
+  renderMedia(el.qMedia, q, true);
 
   el.answers.innerHTML = '';
-  // Assign global color/shape (do NOT randomize order)
-  let options = q.options.map((opt, idx) => ({
-    ...opt,
-    color: GLOBAL_ANSWER_STYLES[idx % GLOBAL_ANSWER_STYLES.length].color,
-    shape: GLOBAL_ANSWER_STYLES[idx % GLOBAL_ANSWER_STYLES.length].shape
-  }));
-  // Do NOT shuffle options
-  window._lastOptionIdOrder = options.map(opt => opt.id);
-
-  options.forEach((opt) => {
-    const btn = document.createElement('button');
-    btn.className = `answer ${opt.color}`;
+  // Keep the server's option order: reveal counts are listed in it
+  shownOptions = q.options;
+
+  if (q.type === 'text' || q.type === 'numeric') {
+    const hint = document.createElement('div');
+    hint.className = 'typed-answer muted';
+    hint.textContent = q.type === 'numeric' ? 'Players enter a number…' : 'Players type their answer…';
+    el.answers.appendChild(hint);
+  } else if (q.type === 'order' || q.type === 'multiselect') {
+    const hint = document.createElement('div');
+    hint.className = 'answer-controls muted';
+    hint.textContent = q.type === 'order' ? 'Put these in the right order' : 'Select all that apply';
+    el.answers.appendChild(hint);
+  }
+
+  q.options.forEach((opt, idx) => {
+    const btn = createAnswerTile(opt, idx);
     btn.disabled = true; // host doesn't answer; just shows layout
-    btn.innerHTML = `<span class="shape">${opt.shape}</span> <span class="label">${opt.label}</span>`;
-    btn.dataset.id = opt.id; // assign option id for later lookup
     el.answers.appendChild(btn);
   });
 
-  // Start music
-  try { el.music.currentTime = 0; el.music.play(); } catch {}
+  // Start music, unless the question has its own clip to listen to
+  if (q.audioUrl || q.videoUrl) {
+    el.music.pause();
+  } else {
+    try { el.music.currentTime = 0; el.music.play(); } catch {}
+  }
 
   // Show progress dot in bottom-left (already via qIndex/qTotal)
+}
+
+// Countdown shown next to the host's round controls, synced to the server's deadline
+function startHostTimer(endMs) {
+  stopHostTimer();
+  el.pauseBtn.textContent = 'Pause';
+  hostTimerEnd = endMs;
+  const tick = () => {
+    const secLeft = Math.max(0, Math.ceil((hostTimerEnd - serverNow()) / 1000));
+    el.hostTimer.textContent = `${secLeft}s`;
+    if (secLeft === 0) stopHostTimer();
+  };
+  tick();
+  hostTimerInterval = setInterval(tick, 200);
+}
+
+function stopHostTimer() {
+  clearInterval(hostTimerInterval);
+  hostTimerInterval = null;
+  hostTimerEnd = null;
+}
+
+function showHostTimerPaused() {
+  stopHostTimer();
+  el.hostTimer.textContent = 'Paused';
+  el.pauseBtn.textContent = 'Resume';
+}
+
+// Round clock changed: paused, resumed or extended
+socket.on('round:timer', ({ endMs, serverNow: serverTime, paused }) => {
+  if (paused) {
+    showHostTimerPaused();
+    return;
+  }
+  noteServerTime(serverTime);
+  startHostTimer(endMs);
+});
+
+el.pauseBtn.addEventListener('click', () => {
+  if (!gameId) return;
+  // The button reads "Resume" while paused; the server's round:timer updates it
+  socket.emit(el.pauseBtn.textContent === 'Resume' ? 'host:resumeTimer' : 'host:pauseTimer', { gameId });
+});
+
+el.addTimeBtn.addEventListener('click', () => {
+  if (gameId) socket.emit('host:addTime', { gameId, seconds: EXTRA_SECONDS });
+});
+
+el.closeQuestionBtn.addEventListener('click', () => {
+  if (gameId) socket.emit('host:closeQuestion', { gameId });
+});
+
+el.skipBtn.addEventListener('click', () => {
+  if (!gameId || !confirm('Skip this question? Nobody scores points for it.')) return;
+  socket.emit('host:skipQuestion', { gameId });
+});
+
+el.endGameBtn.addEventListener('click', () => {
+  if (!gameId || !confirm('End the game now and go to the podium?')) return;
+  socket.emit('host:endGame', { gameId });
 });
 
 // Store current question id for answer tracking
-socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
+socket.on('question:reveal', renderReveal);
+
+// Reveal correct answers, counts and the leaderboard
+function renderReveal(reveal) {
+  const { correctOptionIds, leaderboard, teamLeaderboard, counts } = reveal;
   // Stop music, play reveal
   try { el.music.pause(); } catch {}
+  el.qMedia.querySelectorAll('audio, video').forEach(clip => clip.pause());
+  stopHostTimer();
+  el.roundControls.classList.add('hidden');
   try { el.reveal.currentTime = 0; el.reveal.play(); } catch {}
 
-  // Build optionIdToCount mapping for correct badge placement
-  let optionIdToCount = {};
-  if (window._lastOptionIdOrder && Array.isArray(counts)) {
-    window._lastOptionIdOrder.forEach((optionId, idx) => {
-      optionIdToCount[optionId] = counts[idx] || 0;
-    });
+  if (reveal.type === 'text' || reveal.type === 'numeric') {
+    renderResponses(reveal);
   }
 
   // Highlight correct and wrong answers using data-id
-  [...el.answers.children].forEach((btn, idx) => {
+  // (for ordering questions the badge counts players who placed that item correctly)
+  [...el.answers.querySelectorAll('.answer')].forEach(btn => {
     const optId = btn.dataset.id;
     btn.classList.remove('correct', 'wrong');
-    if (correctOptionIds.includes(optId)) {
-      btn.classList.add('correct');
-    } else {
-      btn.classList.add('wrong');
-    }
-    // Add count badge (use correct mapping)
-    if (optionIdToCount && optId in optionIdToCount) {
-      let count = optionIdToCount[optId] || 0;
-      let badge = btn.querySelector('.answer-count-badge');
-      if (badge) badge.remove();
-      const badgeEl = document.createElement('span');
-      badgeEl.className = 'answer-count-badge';
-      badgeEl.textContent = count;
-      badgeEl.style.cssText = 'margin-left:8px;background:#222;color:#fff;border-radius:10px;padding:2px 8px;font-size:0.95em;';
-      btn.appendChild(badgeEl);
+    if (reveal.type !== 'order') {
+      btn.classList.add(correctOptionIds.includes(optId) ? 'correct' : 'wrong');
     }
+    const idx = shownOptions.findIndex(opt => opt.id === optId);
+    if (Array.isArray(counts) && idx !== -1) addCountBadge(btn, counts[idx] || 0);
   });
 
-  // Leaderboard
-  el.board.innerHTML = '';
-  leaderboard.forEach((p, i) => {
+  if (reveal.type === 'order') {
+    // Rearrange the items into the correct order and number them
+    sortByCorrectOrder(el.answers.querySelectorAll('.answer'), reveal.correctOrder)
+      .forEach((btn, i) => {
+        btn.classList.add('correct');
+        btn.querySelector('.shape').textContent = `${i + 1}.`;
+        el.answers.appendChild(btn);
+      });
+  }
+
+  renderLeaderboard(el.board, leaderboard);
+  renderStats(reveal);
+  renderTeamBoard(teamLeaderboard);
+  el.leaderboard.classList.remove('hidden');
+}
+
+// Format milliseconds as seconds, e.g. 3.4s
+const formatSeconds = ms => (ms == null ? '–' : `${(ms / 1000).toFixed(1)}s`);
+
+// Analytics under the answers: a bar per option (or typed response) and key figures
+function renderStats(reveal) {
+  const { stats } = reveal;
+  el.stats.innerHTML = '';
+  if (!stats) {
+    el.stats.classList.add('hidden');
+    return;
+  }
+
+  // Bars: options for choice/ordering questions, most common responses for typed ones
+  const chart = makeBarChart(getRevealBars(reveal, shownOptions), stats.players);
+
+  const figures = document.createElement('div');
+  figures.className = 'stat-figures';
+  [
+    ['Correct', `${stats.percentCorrect}%`],
+    ['No answer', stats.noAnswer],
+    ['Avg time', formatSeconds(stats.avgTimeMs)],
+    ['Fastest', formatSeconds(stats.fastestTimeMs)],
+    ['Fastest correct', stats.fastestCorrect ? `${stats.fastestCorrect.name} (${formatSeconds(stats.fastestCorrect.timeMs)})` : '–']
+  ].forEach(([name, value]) => {
+    const fig = document.createElement('div');
+    fig.className = 'stat';
+    const v = document.createElement('div');
+    v.className = 'stat-value';
+    v.textContent = value;
+    const n = document.createElement('div');
+    n.className = 'stat-name muted';
+    n.textContent = name;
+    fig.append(v, n);
+    figures.appendChild(fig);
+  });
+
+  el.stats.append(chart, figures);
+  el.stats.classList.remove('hidden');
+}
+
+// Team standings under the individual leaderboard (team mode only)
+function renderTeamBoard(teamLeaderboard) {
+  el.teamBoardWrap.classList.toggle('hidden', !teamLeaderboard);
+  el.teamBoard.innerHTML = '';
+  (teamLeaderboard || []).forEach(t => {
     const li = document.createElement('li');
-    // Show score and delta if delta > 0
-    let scoreText = `${p.name} - ${p.score.toLocaleString()}`;
-    if (typeof p.delta === 'number' && p.delta > 0) {
-      scoreText += ` (+${p.delta})`;
-    }
-    li.textContent = scoreText;
-    if (p.lastCorrect) li.classList.add('correctish');
-    el.board.appendChild(li);
+    let text = `${t.name} - ${t.score.toLocaleString()}`;
+    if (t.delta > 0) text += ` (+${t.delta})`;
+    li.textContent = `${text} · ${t.members} ${t.members === 1 ? 'player' : 'players'}`;
+    el.teamBoard.appendChild(li);
   });
-  el.leaderboard.classList.remove('hidden');
-});
+}
+
+// Team podium: top three teams, winner in the middle
+function renderTeamPodium(teamLeaderboard) {
+  el.teamPodium.classList.toggle('hidden', !teamLeaderboard);
+  el.teamPodium.innerHTML = '';
+  if (teamLeaderboard) renderPodium(el.teamPodium, teamLeaderboard);
+}
+
+// Reveal for typed and numeric questions: the right answer and the most common responses
+function renderResponses(reveal) {
+  el.answers.innerHTML = '';
+  const answer = document.createElement('div');
+  answer.className = 'reveal-answer';
+  answer.textContent = reveal.type === 'text'
+    ? `Accepted: ${reveal.acceptedAnswers.join(', ')}` // the host sees every accepted spelling
+    : describeTypedAnswer(reveal);
+  el.answers.appendChild(answer);
+
+  const list = document.createElement('ul');
+  list.className = 'responses';
+  (reveal.responses || []).forEach(r => {
+    const li = document.createElement('li');
+    li.textContent = `${r.value} — ${r.count}`;
+    li.classList.add(r.correct ? 'correctish' : 'muted');
+    list.appendChild(li);
+  });
+  if (!list.children.length) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No answers';
+    list.appendChild(li);
+  }
+  el.answers.appendChild(list);
+}
 
 // Allow advancing to next question
 socket.on('host:canAdvance', () => {
   el.nextBtn.classList.remove('hidden');
 });
 
+// Auto-advance: count down to the next question; the host can hold it or press Next at any time
+socket.on('advance:timer', showAdvance);
+
+function showAdvance({ at, final, serverNow: serverTime, remainingMs, paused }) {
+  const next = final ? 'Podium' : 'Next question';
+  stopAdvance();
+  el.advanceControls.classList.remove('hidden');
+  if (paused) {
+    el.advanceTimer.textContent = `${next} in ${Math.ceil(remainingMs / 1000)}s (paused)`;
+    el.advancePauseBtn.textContent = 'Resume';
+    return;
+  }
+  noteServerTime(serverTime);
+  el.advancePauseBtn.textContent = 'Pause';
+  advanceInterval = countdownTo(at, secLeft => { el.advanceTimer.textContent = `${next} in ${secLeft}s`; });
+}
+
+function stopAdvance() {
+  clearInterval(advanceInterval);
+  advanceInterval = null;
+  el.advanceControls.classList.add('hidden');
+}
+
+el.advancePauseBtn.addEventListener('click', () => {
+  if (!gameId) return;
+  // The button reads "Resume" while paused; the server's advance:timer updates it
+  socket.emit(el.advancePauseBtn.textContent === 'Resume' ? 'host:resumeAdvance' : 'host:pauseAdvance', { gameId });
+});
+
 // Handle next question
 el.nextBtn.addEventListener('click', () => {
   // Remove correct highlight before advancing
-  [...el.answers.children].forEach(btn => btn.classList.remove('correct'));
+  [...el.answers.querySelectorAll('.answer')].forEach(btn => btn.classList.remove('correct'));
   if (!gameId) return;
   socket.emit('host:next', { gameId });
 });
 
 // Game over
-socket.on('game:over', ({ leaderboard }) => {
+socket.on('game:over', ({ leaderboard, teamLeaderboard, awards }) => {
+  clearHostSession();
+  stopHostTimer();
+  stopAdvance();
+  try { el.music.pause(); } catch {}
+  el.reportLinks.classList.add('hidden');
+  renderTeamPodium(null);
+  el.awards.classList.add('hidden');
+  el.finalBoard.classList.add('hidden');
   el.play.classList.add('hidden');
   el.leaderboard.classList.add('hidden');
   el.over.classList.remove('hidden');
@@ -215,15 +798,29 @@ socket.on('game:over', ({ leaderboard }) => {
     li.textContent = scoreText;
     el.finalBoard.appendChild(li);
   });
-  // Play end sound effect
-  const endAudio = document.getElementById('end');
-  if (endAudio) {
-    try { endAudio.currentTime = 0; endAudio.play(); } catch {}
-  }
+  // 3rd, 2nd, then 1st place; the winner gets the end sound, then the awards and full standings
+  playPodium(el.podium, leaderboard, () => {
+    const endAudio = document.getElementById('end');
+    if (endAudio) {
+      try { endAudio.currentTime = 0; endAudio.play(); } catch {}
+    }
+    renderAwards(el.awards, awards);
+    renderTeamPodium(teamLeaderboard);
+    el.finalBoard.classList.remove('hidden');
+  });
+});
+
+// The finished game's report has been saved on the server
+socket.on('host:results', ({ resultId, key }) => {
+  const base = `/api/results/${encodeURIComponent(resultId)}?key=${encodeURIComponent(key)}`;
+  el.reportCsv.href = `${base}&format=csv`;
+  el.reportJson.href = base;
+  el.reportLinks.classList.remove('hidden');
 });
 
 // Game cancelled
 socket.on('game:cancelled', ({ reason }) => {
+  clearHostSession();
   el.cancelReason.textContent = reason || 'Game ended.';
   el.cancelled.classList.remove('hidden');
 });
@@ -246,21 +843,3 @@ if (el.backToCreateBtn) {
     el.title.textContent = 'Host a Game';
   });
 }
-
-// Global color/shape list
-const GLOBAL_ANSWER_STYLES = [
-  { color: 'red',    shape: '■' },
-  { color: 'blue',   shape: '♦' },
-  { color: 'yellow', shape: '●' },
-  { color: 'green',  shape: '▲' }
-];
-
-// Utility to shuffle an array (Fisher-Yates)
-function shuffleArray(arr) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
\ No newline at end of file
@@ -0,0 +1,145 @@
+// public/library.js
+// Quiz library picker on the host page. Loaded after host.js and editor.js and
+// reuses their el, createGame, readQuizFile, showCreateErrors, makeEl, loadIntoEditor and library keys.
+
+const lib = {
+  saveBtn: byId('saveToLibraryBtn'),
+  search: byId('librarySearch'),
+  tag: byId('libraryTag'),
+  list: byId('libraryList'),
+  msg: byId('libraryMsg')
+};
+
+let librarySearchTimer = null;
+
+// Call a library endpoint and return its JSON; throws with the server's message on failure
+async function libraryFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 204) return null;
+  const data = await res.json();
+  if (!res.ok) throw Object.assign(new Error(data.error || 'Request failed'), { errors: data.errors });
+  return data;
+}
+
+// Reload the tag filter and the quiz list
+async function refreshLibrary() {
+  try {
+    const all = await libraryFetch('/api/quizzes');
+    const tags = [...new Set(all.flatMap(q => q.tags))].sort();
+    const current = lib.tag.value;
+    lib.tag.innerHTML = '';
+    lib.tag.append(makeEl('option', { value: '', textContent: 'All tags' }));
+    tags.forEach(t => lib.tag.append(makeEl('option', { value: t, textContent: t })));
+    lib.tag.value = tags.includes(current) ? current : '';
+  } catch {
+    lib.msg.textContent = 'Could not load the quiz library.';
+    return;
+  }
+  renderLibrary();
+}
+
+// Show the quizzes matching the search box and tag filter
+async function renderLibrary() {
+  const params = new URLSearchParams();
+  if (lib.search.value.trim()) params.set('search', lib.search.value.trim());
+  if (lib.tag.value) params.set('tag', lib.tag.value);
+  let quizzes;
+  try {
+    quizzes = await libraryFetch(`/api/quizzes?${params}`);
+  } catch {
+    lib.msg.textContent = 'Could not load the quiz library.';
+    return;
+  }
+  lib.list.innerHTML = '';
+  quizzes.forEach(q => lib.list.appendChild(renderLibraryItem(q)));
+  const filtered = lib.search.value.trim() || lib.tag.value;
+  lib.msg.textContent = quizzes.length ? '' : (filtered ? 'No saved quizzes match.' : 'No saved quizzes yet.');
+}
+
+// Quizzes saved from another browser can be hosted or copied, but not changed or deleted
+function renderLibraryItem(summary) {
+  const tags = summary.tags.map(t => makeEl('span', { className: 'tag', textContent: t }));
+  const owned = !!loadLibraryKeys()[summary.id];
+  return makeEl('li', { className: 'library-item' }, [
+    makeEl('span', { className: 'library-title', textContent: summary.title }),
+    ...tags,
+    makeEl('span', { className: 'muted', textContent: `${summary.questionCount} questions` }),
+    makeEl('button', { className: 'primary', textContent: 'Host', onclick: () => hostFromLibrary(summary.id) }),
+    makeEl('button', { className: 'secondary', textContent: owned ? 'Edit' : 'Copy', onclick: () => editFromLibrary(summary.id, owned) }),
+    ...(owned ? [makeEl('button', { className: 'secondary danger', textContent: 'Delete', onclick: () => deleteFromLibrary(summary) })] : [])
+  ]);
+}
+
+async function hostFromLibrary(id) {
+  try {
+    createGame(await libraryFetch(`/api/quizzes/${id}`), lib.msg);
+  } catch (e) {
+    lib.msg.textContent = e.message;
+  }
+}
+
+// A copy is saved to the library as a new quiz
+async function editFromLibrary(id, owned) {
+  try {
+    loadIntoEditor(await libraryFetch(`/api/quizzes/${id}`), owned ? id : null);
+  } catch (e) {
+    lib.msg.textContent = e.message;
+    return;
+  }
+  renderSavedList();
+  ed.msg.textContent = '';
+  el.editor.classList.remove('hidden');
+  el.editor.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function deleteFromLibrary(summary) {
+  if (!confirm(`Delete "${summary.title}" from the library?`)) return;
+  try {
+    await libraryFetch(libraryQuizUrl(summary.id), { method: 'DELETE' });
+  } catch (e) {
+    lib.msg.textContent = e.message;
+    return;
+  }
+  const keys = loadLibraryKeys();
+  delete keys[summary.id];
+  saveLibraryKeys(keys);
+  refreshLibrary();
+}
+
+el.jsonFile.addEventListener('change', () => {
+  lib.saveBtn.disabled = !el.jsonFile.files[0];
+});
+
+// Upload the chosen file to the library (CSV and Markdown are converted first)
+lib.saveBtn.addEventListener('click', async () => {
+  const file = el.jsonFile.files[0];
+  if (!file) return;
+  let quiz;
+  try {
+    quiz = (await readQuizFile(file)).quiz;
+  } catch (e) {
+    el.createMsg.textContent = e.message;
+    return;
+  }
+  try {
+    const saved = await libraryFetch('/api/quizzes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(quiz)
+    });
+    saveLibraryKeys({ ...loadLibraryKeys(), [saved.id]: saved.key });
+    el.createMsg.textContent = `Saved "${quiz.title}" to the library.`;
+  } catch (e) {
+    showCreateErrors(el.createMsg, e.message, e.errors);
+    return;
+  }
+  refreshLibrary();
+});
+
+lib.search.addEventListener('input', () => {
+  clearTimeout(librarySearchTimer);
+  librarySearchTimer = setTimeout(renderLibrary, 200);
+});
+lib.tag.addEventListener('change', renderLibrary);
+
+refreshLibrary();
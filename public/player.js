@@ -1,44 +1,86 @@
 // public/player.js
 const socket = io();
+startClockSync(socket);
 const byId = id => document.getElementById(id);
 // Utility to get element by ID
 const el = {
   join: byId('join'),
+  joinTitle: byId('joinTitle'),
   name: byId('name'),
   joinBtn: byId('joinBtn'),
   joinMsg: byId('joinMsg'),
+  teamSelect: byId('teamSelect'),
+  teamPicker: byId('teamPicker'),
+  teamSwitch: byId('teamSwitch'),
   waiting: byId('waiting'),
   waitingGame: byId('waitingGame'),
+  notice: byId('notice'),
   play: byId('play'),
   qText: byId('qText'),
-  qImage: byId('qImage'),
+  qMedia: byId('qMedia'),
   answers: byId('answers'),
   qIndex: byId('qIndex'),
   qTotal: byId('qTotal'),
+  qMultiplier: byId('qMultiplier'),
   status: byId('status'),
+  streak: byId('streak'),
   timer: null, 
   music: byId('music'),
   reveal: byId('reveal'),
   leaderboard: byId('leaderboard'),
   board: byId('board'),
   over: byId('over'),
+  nextBtn: byId('nextBtn'),
   finalBoard: byId('finalBoard'),
+  awards: byId('awards'),
+  summary: byId('summary'),
+  summaryRank: byId('summaryRank'),
+  summaryFigures: byId('summaryFigures'),
+  summaryQuestions: byId('summaryQuestions'),
   backToJoinBtn: document.getElementById('backToJoinBtn')
 };
 
-// Global answer styles (color and shape)
-const GLOBAL_ANSWER_STYLES = [
-  { color: 'red',    shape: '■' },
-  { color: 'blue',   shape: '♦' },
-  { color: 'yellow', shape: '●' },
-  { color: 'green',  shape: '▲' }
-];
-
-// Get game ID from URL
+// Get game ID from URL; homework links carry an assignment ID instead, and the solo game
+// for it is created when the player starts
 const params = new URLSearchParams(location.search);
-const gameId = params.get('game');
+const assignmentId = params.get('assignment');
+let gameId = params.get('game');
 let currentQuestionId = null;
-let lockedOptionId = null;
+let currentQuestionType = null;
+let shownOptions = []; // options of the question on screen, in the server's order (as reveal counts are)
+let lockedAnswer = null; // optionId, typed text, number or ordered id list
+let readyInterval = null; // 3-2-1 countdown during a question's reading time
+let advanceInterval = null; // auto-advance countdown during a reveal
+
+// Resume token for this game, kept across reloads so a dropped phone can rejoin
+// (for homework, together with the id of the player's solo game)
+const sessionKey = assignmentId ? `nanoquiz:assignment:${assignmentId}` : `nanoquiz:session:${gameId}`;
+const loadSessionToken = () => { try { return localStorage.getItem(sessionKey); } catch { return null; } };
+const saveSessionToken = token => { try { localStorage.setItem(sessionKey, token); } catch {} };
+const clearSessionToken = () => {
+  try {
+    localStorage.removeItem(sessionKey);
+    localStorage.removeItem(`${sessionKey}:game`);
+  } catch {}
+};
+if (assignmentId) {
+  try { gameId = localStorage.getItem(`${sessionKey}:game`); } catch {}
+}
+
+// Random id for this browser, sent on join so a host's ban also covers a changed name
+const DEVICE_KEY = 'nanoquiz:device';
+function getDeviceId() {
+  try {
+    let id = localStorage.getItem(DEVICE_KEY);
+    if (!id) {
+      id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 12)}`;
+      localStorage.setItem(DEVICE_KEY, id);
+    }
+    return id;
+  } catch {
+    return null;
+  }
+}
 
 // Handle join button
 el.joinBtn.addEventListener('click', () => {
@@ -47,14 +89,184 @@ el.joinBtn.addEventListener('click', () => {
     el.joinMsg.textContent = 'Enter a name.';
     return;
   }
-  socket.emit('player:join', { gameId, name }, (res) => {
+  if (assignmentId) {
+    startAssignment(name);
+    return;
+  }
+  const team = el.teamSelect.value || null;
+  socket.emit('player:join', { gameId, name, team, deviceId: getDeviceId() }, (res) => {
     if (!res?.ok) {
       el.joinMsg.textContent = res?.error || 'Unable to join.';
+      // Name taken: offer the free alternative the server suggested
+      if (res?.suggestion) el.name.value = res.suggestion;
       return;
     }
+    el.joinMsg.textContent = '';
     el.join.classList.add('hidden');
     el.waiting.classList.remove('hidden');
+    if (res.pending) {
+      el.waitingGame.textContent = 'Waiting for the host to let you in…';
+      el.teamPicker.classList.add('hidden');
+      return;
+    }
+    enterLobby(res);
+  });
+});
+
+// Joined (or let in by the host): remember the seat and show the waiting room
+function enterLobby(res) {
+  if (res.token) saveSessionToken(res.token);
+  el.waitingGame.textContent = `Game ID: ${gameId}`;
+  showTeamPicker(res.teams, res.team);
+}
+
+socket.on('player:approved', enterLobby);
+
+// Homework: start this player's own run through the quiz; the server sends the first question
+function startAssignment(name) {
+  el.joinBtn.disabled = true;
+  socket.emit('assignment:start', { assignmentId, name, deviceId: getDeviceId() }, (res) => {
+    el.joinBtn.disabled = false;
+    if (!res?.ok) {
+      el.joinMsg.textContent = res?.error || 'Unable to start.';
+      if (res?.suggestion) el.name.value = res.suggestion;
+      return;
+    }
+    gameId = res.gameId;
+    saveSessionToken(res.token);
+    try { localStorage.setItem(`${sessionKey}:game`, gameId); } catch {}
+    el.joinMsg.textContent = '';
+    el.join.classList.add('hidden');
+  });
+}
+
+// Host turned this player away (or the game started before they were let in)
+socket.on('player:denied', ({ reason }) => {
+  el.waiting.classList.add('hidden');
+  el.join.classList.remove('hidden');
+  el.joinMsg.textContent = reason;
+});
+
+// Fill a team <select>; the join form also offers auto-assignment
+function fillTeamOptions(select, teams, selected, withAuto) {
+  select.innerHTML = '';
+  const names = withAuto ? ['', ...teams] : teams;
+  names.forEach(name => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name || 'Auto-assign a team';
+    select.appendChild(opt);
+  });
+  select.value = selected || '';
+}
+
+// Team switcher in the waiting room (team mode only)
+function showTeamPicker(teams, team) {
+  el.teamPicker.classList.toggle('hidden', !teams);
+  if (teams) fillTeamOptions(el.teamSwitch, teams, team, false);
+}
+
+el.teamSwitch.addEventListener('change', () => {
+  socket.emit('player:setTeam', { gameId, team: el.teamSwitch.value });
+});
+
+// Keep the switcher in sync when the lobby changes
+socket.on('lobby:update', ({ teams }) => {
+  if (!teams || el.teamPicker.classList.contains('hidden')) return;
+  const mine = el.teamSwitch.value;
+  teams.forEach(t => {
+    const opt = [...el.teamSwitch.options].find(o => o.value === t.name);
+    if (opt) opt.textContent = `${t.name} (${t.players.length})`;
+  });
+  el.teamSwitch.value = mine;
+});
+
+// Look the room up before asking for a name, so a dead code fails early
+async function lookupRoom() {
+  if (assignmentId) {
+    lookupAssignment();
+    return;
+  }
+  let room = null;
+  try {
+    const res = await fetch(`/api/games/${encodeURIComponent(gameId || '')}`);
+    room = await res.json();
+  } catch {}
+  if (!room || !room.exists) {
+    el.joinMsg.textContent = room?.error || 'Room not found.';
+    el.joinBtn.disabled = true;
+    return;
+  }
+  el.joinTitle.textContent = room.title;
+  el.teamSelect.classList.toggle('hidden', !room.teams);
+  if (room.teams) fillTeamOptions(el.teamSelect, room.teams, '', true);
+  if (room.started && !loadSessionToken()) {
+    el.joinMsg.textContent = 'That game has already started.';
+    el.joinBtn.disabled = true;
+  } else if (room.full) {
+    el.joinMsg.textContent = 'That game is full.';
+    el.joinBtn.disabled = true;
+  }
+}
+lookupRoom();
+
+// Homework title and due date, or why it can no longer be taken
+async function lookupAssignment() {
+  let assignment = null;
+  try {
+    const res = await fetch(`/api/assignments/${encodeURIComponent(assignmentId)}`);
+    assignment = await res.json();
+  } catch {}
+  if (!assignment || !assignment.id) {
+    el.joinMsg.textContent = assignment?.error || 'Homework not found.';
+    el.joinBtn.disabled = true;
+    return;
+  }
+  el.joinTitle.textContent = assignment.title;
+  el.joinBtn.textContent = 'Start';
+  if (!assignment.open && !loadSessionToken()) {
+    el.joinMsg.textContent = 'The deadline for this homework has passed.';
+    el.joinBtn.disabled = true;
+  } else {
+    el.joinMsg.textContent = `${assignment.questionCount} questions, at your own pace. Due ${new Date(assignment.deadline).toLocaleString()}.`;
+  }
+}
+
+// (Re)connected: if we hold a session for this game, pick up where we left off.
+// Fires on first load as well as after socket.io reconnects with a new socket id.
+socket.on('connect', () => {
+  const token = loadSessionToken();
+  if (!token || !gameId) return;
+  socket.emit('player:resume', { gameId, token }, (res) => {
+    if (!res?.ok) {
+      clearSessionToken();
+      return;
+    }
+    el.join.classList.add('hidden');
     el.waitingGame.textContent = `Game ID: ${gameId}`;
+    if (res.phase === 'lobby') {
+      el.waiting.classList.remove('hidden');
+      showTeamPicker(res.teams, res.team);
+      return;
+    }
+    el.waiting.classList.add('hidden');
+    el.over.classList.add('hidden');
+    el.play.classList.remove('hidden');
+    if (res.phase === 'preview') {
+      noteServerTime(res.serverNow);
+      renderPreview(res.question, res.startMs);
+    } else if (res.phase === 'question') {
+      noteServerTime(res.serverNow);
+      renderQuestion(res.question, res.endMs);
+      if (res.paused) showPaused();
+      if (res.answer != null) showLocked(res.answer);
+    } else if (res.phase === 'reveal' && res.reveal) {
+      renderQuestion(res.question, 0);
+      lockedAnswer = res.answer;
+      renderReveal(res.reveal);
+      if (res.result) renderResult(res.result);
+      if (res.advance) showAdvance(res.advance);
+    }
   });
 });
 
@@ -69,10 +281,10 @@ if (!document.getElementById('timer')) {
   el.timer = document.getElementById('timer');
 }
 
-// Countdown timer functions
-function startCountdown(seconds) {
+// Countdown timer functions; endMs is the round's deadline on the server clock
+function startCountdown(endMs) {
   clearCountdown();
-  countdownEndTime = Date.now() + seconds * 1000;
+  countdownEndTime = endMs;
   updateCountdown();
   countdownInterval = setInterval(updateCountdown, 200);
 }
@@ -80,14 +292,21 @@ function startCountdown(seconds) {
 // Update countdown display
 function updateCountdown() {
   if (!countdownEndTime) return;
-  const msLeft = countdownEndTime - Date.now();
+  const msLeft = countdownEndTime - serverNow();
   const secLeft = Math.max(0, Math.ceil(msLeft / 1000));
   el.timer.textContent = `Time left: ${secLeft}s`;
   if (msLeft <= 0) {
     clearCountdown();
+    showTimeUp();
   }
 }
 
+// The deadline passed: stop taking answers while the server closes the round
+function showTimeUp() {
+  el.timer.textContent = 'Time\'s up!';
+  el.answers.classList.add('closed');
+}
+
 let countdownInterval = null;
 let countdownEndTime = null;
 
@@ -99,6 +318,24 @@ function clearCountdown() {
   countdownEndTime = null;
 }
 
+// Host stopped the clock: answering waits until it resumes
+function showPaused() {
+  clearCountdown();
+  el.timer.textContent = 'Paused by the host';
+  el.answers.classList.add('paused');
+}
+
+// Host paused, resumed or added time to the question
+socket.on('round:timer', ({ endMs, serverNow: serverTime, paused }) => {
+  if (paused) {
+    showPaused();
+    return;
+  }
+  noteServerTime(serverTime);
+  el.answers.classList.remove('paused', 'closed');
+  startCountdown(endMs);
+});
+
 // Game started
 socket.on('game:started', () => {
   el.waiting.classList.add('hidden');
@@ -107,104 +344,332 @@ socket.on('game:started', () => {
   el.play.classList.remove('hidden');
 });
 
-// Shuffle array utility
-function shuffleArray(arr) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
+// The host dropped the question unscored; the next one follows straight away
+socket.on('question:skipped', () => {
+  el.notice.textContent = 'Question skipped. Nobody scores points for it.';
+  el.notice.classList.remove('hidden');
+  setTimeout(() => el.notice.classList.add('hidden'), 4000);
+});
 
 // New question
 socket.on('question:show', (q) => {
+  noteServerTime(q.serverNow);
+  renderQuestion(q, q.endMs);
+});
+
+// Reading time before the options appear
+socket.on('question:preview', (q) => {
+  noteServerTime(q.serverNow);
+  renderPreview(q, q.startMs);
+});
+
+// Show just the question with a 3-2-1 countdown to startMs, when the options appear
+function renderPreview(q, startMs) {
+  clearCountdown();
+  clearInterval(readyInterval);
+  clearInterval(advanceInterval);
+  currentQuestionId = q.id;
+  lockedAnswer = null;
+  el.status.textContent = '';
+  el.streak.classList.add('hidden');
+  el.leaderboard.classList.add('hidden');
+  el.nextBtn.classList.add('hidden');
+
+  el.qText.textContent = q.text;
+  el.qIndex.textContent = (q.index + 1);
+  el.qTotal.textContent = q.total;
+  renderMultiplier(el.qMultiplier, q.multiplier);
+  renderMedia(el.qMedia, q, false);
+
+  el.answers.innerHTML = '';
+  el.answers.classList.remove('paused', 'closed');
+  const ready = document.createElement('div');
+  ready.className = 'get-ready';
+  el.answers.appendChild(ready);
+  el.timer.textContent = 'Get ready…';
+  readyInterval = countdownTo(startMs, secLeft => { ready.textContent = secLeft || 'Go!'; });
+}
+
+// Show a question counting down to endMs (server clock); no countdown when endMs is empty
+function renderQuestion(q, endMs) {
   // Reset UI
+  clearInterval(readyInterval);
+  clearInterval(advanceInterval);
   currentQuestionId = q.id;
-  lockedOptionId = null;
+  currentQuestionType = q.type || 'multiple';
+  lockedAnswer = null;
   el.status.textContent = '';
+  el.streak.classList.add('hidden');
 
   // Hide leaderboard during question phase
   el.leaderboard.classList.add('hidden'); // ensure leaderboard is hidden at start of question
+  el.nextBtn.classList.add('hidden');
 
   el.qText.textContent = q.text;
   el.qIndex.textContent = (q.index + 1);
   el.qTotal.textContent = q.total;
+  renderMultiplier(el.qMultiplier, q.multiplier);
+
+  // Clips play on the host's screen; players can replay them on their own device
+  renderMedia(el.qMedia, q, false);
 
-  if (q.imageUrl) {
-    el.qImage.src = q.imageUrl;
-    el.qImage.classList.remove('hidden');
+  el.answers.innerHTML = '';
+  el.answers.classList.remove('paused', 'closed');
+  // Do NOT shuffle options: colors and reveal counts follow the server's order
+  const options = q.options;
+  shownOptions = options;
+
+  if (currentQuestionType === 'text' || currentQuestionType === 'numeric') {
+    renderTypedInput(currentQuestionType);
+  } else if (currentQuestionType === 'order') {
+    renderOrderInput(options);
+  } else if (currentQuestionType === 'multiselect') {
+    renderMultiSelectInput(options);
   } else {
-    el.qImage.classList.add('hidden');
+    options.forEach((opt, idx) => {
+      const btn = createAnswerTile(opt, idx);
+      btn.addEventListener('click', () => {
+        if (lockedAnswer != null) return;
+        sendAnswer({ optionId: opt.id });
+        // Provide immediate “locked” feedback
+        showLocked(opt.id);
+      });
+      el.answers.appendChild(btn);
+    });
   }
 
-  el.answers.innerHTML = '';
-  // Assign global color/shape (do NOT randomize order)
-  let options = q.options.map((opt, idx) => ({
-    ...opt,
-    color: GLOBAL_ANSWER_STYLES[idx % GLOBAL_ANSWER_STYLES.length].color,
-    shape: GLOBAL_ANSWER_STYLES[idx % GLOBAL_ANSWER_STYLES.length].shape
-  }));
-  // Do NOT shuffle options
-  window._lastOptionIdOrder = options.map(opt => opt.id);
-
-  options.forEach(opt => {
-    const btn = document.createElement('button');
-    btn.className = `answer ${opt.color}`;
-    btn.innerHTML = `<span class="shape">${opt.shape}</span> <span class="label">${opt.label}</span>`;
-    btn.dataset.id = opt.id; // assign option id for later lookup
+  // Start music
+  try { el.music.currentTime = 0; el.music.play(); } catch {}
+
+  clearCountdown();
+  if (endMs) startCountdown(endMs);
+}
+
+// Text box and Submit button for type-the-answer and numeric questions
+function renderTypedInput(type) {
+  const form = document.createElement('form');
+  form.className = 'typed-answer';
+  const input = document.createElement('input');
+  input.type = type === 'numeric' ? 'number' : 'text';
+  input.step = 'any';
+  input.maxLength = 100;
+  input.autocomplete = 'off';
+  input.placeholder = type === 'numeric' ? 'Enter a number' : 'Type your answer';
+  const submit = document.createElement('button');
+  submit.className = 'primary';
+  submit.type = 'submit';
+  submit.textContent = 'Submit';
+  form.append(input, submit);
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    if (lockedAnswer != null) return;
+    const value = type === 'numeric' ? Number(input.value) : input.value.trim();
+    if (input.value.trim() === '' || (type === 'numeric' && !Number.isFinite(value))) return;
+    sendAnswer({ answer: value });
+    showLocked(value);
+  });
+  el.answers.appendChild(form);
+  input.focus();
+}
+
+// Toggle any number of options, then submit them together
+function renderMultiSelectInput(options) {
+  const picks = new Set();
+  options.forEach((opt, idx) => {
+    const btn = createAnswerTile(opt, idx);
     btn.addEventListener('click', () => {
-      if (lockedOptionId) return;
-      lockedOptionId = opt.id;
-      socket.emit('player:answer', { gameId, questionId: currentQuestionId, optionId: opt.id });
-      // Provide immediate “locked” feedback
-      [...el.answers.children].forEach(b => b.disabled = true);
-      btn.classList.add('locked');
-      el.status.textContent = 'Answer locked. Waiting…';
+      if (lockedAnswer != null) return;
+      if (picks.has(opt.id)) picks.delete(opt.id); else picks.add(opt.id);
+      btn.classList.toggle('selected', picks.has(opt.id));
+      submit.disabled = picks.size === 0;
     });
     el.answers.appendChild(btn);
   });
 
-  // Start music
-  try { el.music.currentTime = 0; el.music.play(); } catch {}
+  const row = document.createElement('div');
+  row.className = 'answer-controls';
+  const hint = document.createElement('span');
+  hint.className = 'muted';
+  hint.textContent = 'Select all that apply';
+  const submit = document.createElement('button');
+  submit.className = 'primary';
+  submit.textContent = 'Submit';
+  submit.disabled = true;
+  submit.addEventListener('click', () => {
+    if (lockedAnswer != null || picks.size === 0) return;
+    const answer = [...picks];
+    sendAnswer({ answer });
+    showLocked(answer);
+  });
+  row.append(hint, submit);
+  el.answers.appendChild(row);
+}
 
-  clearCountdown();
-  if (q.timeLimitSeconds) startCountdown(q.timeLimitSeconds);
-});
+// Tap the options in order; tapping a picked one again takes it (and later picks) back
+function renderOrderInput(options) {
+  let picks = [];
+  const buttons = options.map((opt, idx) => {
+    const btn = createAnswerTile(opt, idx);
+    btn.addEventListener('click', () => {
+      if (lockedAnswer != null) return;
+      const pos = picks.indexOf(opt.id);
+      picks = pos === -1 ? [...picks, opt.id] : picks.slice(0, pos);
+      update();
+    });
+    el.answers.appendChild(btn);
+    return btn;
+  });
+
+  const row = document.createElement('div');
+  row.className = 'answer-controls';
+  const submit = document.createElement('button');
+  submit.className = 'primary';
+  submit.textContent = 'Submit order';
+  submit.addEventListener('click', () => {
+    if (lockedAnswer != null || picks.length !== options.length) return;
+    sendAnswer({ answer: picks });
+    showLocked(picks);
+  });
+  row.appendChild(submit);
+  el.answers.appendChild(row);
+
+  function update() {
+    buttons.forEach(btn => {
+      const pos = picks.indexOf(btn.dataset.id);
+      setOrderBadge(btn, pos === -1 ? null : pos + 1);
+    });
+    submit.disabled = picks.length !== options.length;
+  }
+  update();
+}
+
+// Show (or clear) the position number on an ordering button
+function setOrderBadge(btn, position) {
+  let badge = btn.querySelector('.order-pos');
+  if (position == null) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'order-pos';
+    btn.prepend(badge);
+  }
+  badge.textContent = position;
+}
+
+// Send the answer; if the server refuses it (too late, paused, still reading) the inputs unlock
+function sendAnswer(fields) {
+  const questionId = currentQuestionId;
+  socket.emit('player:answer', { gameId, questionId, ...fields }, res => {
+    if (!res || res.ok) return;
+    if (questionId === currentQuestionId) unlockAnswer();
+    el.status.textContent = res.error;
+  });
+}
+
+// Lock the answer inputs once an answer has been sent
+function showLocked(answer) {
+  lockedAnswer = answer;
+  const picked = [].concat(answer).map(String);
+  el.answers.querySelectorAll('button, input').forEach(b => {
+    b.disabled = true;
+    if (b.dataset.id != null && currentQuestionType !== 'order' && picked.includes(b.dataset.id)) {
+      b.classList.add('locked');
+    }
+  });
+  el.status.textContent = 'Answer locked. Waiting…';
+}
+
+function unlockAnswer() {
+  lockedAnswer = null;
+  el.answers.querySelectorAll('button, input').forEach(b => {
+    b.disabled = false;
+    b.classList.remove('locked');
+  });
+}
 
 // Question reveal
-socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
+socket.on('question:reveal', renderReveal);
+
+// Reveal correct answers, counts and the leaderboard
+function renderReveal(reveal) {
+  const { correctOptionIds, leaderboard, counts } = reveal;
   // Stop music, play reveal
   try { el.music.pause(); } catch {}
   try { el.reveal.currentTime = 0; el.reveal.play(); } catch {}
 
-  // Ensure all ids are strings for comparison
-  const correctIds = (correctOptionIds || []).map(String);
-  const lockedId = lockedOptionId ? String(lockedOptionId) : null;
-  const gotCorrect = lockedId && correctIds.includes(lockedId);
+  el.status.textContent = '';
+  el.answers.classList.remove('paused', 'closed');
 
-  document.body.classList.toggle('correct-bg', !!gotCorrect);
-  document.body.classList.toggle('wrong-bg', lockedOptionId && !gotCorrect);
+  if (reveal.type === 'text' || reveal.type === 'numeric' || reveal.type === 'order') {
+    renderTypedReveal(reveal);
+  } else {
+    renderChoiceReveal(correctOptionIds, counts);
+  }
 
-  el.status.textContent = '';
+  renderLeaderboard(el.board, leaderboard);
+  el.leaderboard.classList.remove('hidden'); // ensure leaderboard is shown on reveal
+  el.nextBtn.classList.toggle('hidden', !assignmentId); // homework: the player moves on when ready
+  el.nextBtn.textContent = reveal.index + 1 >= reveal.total ? 'See results' : 'Next question';
 
-  // Map optionId to count for correct badge placement
-  let optionIdToCount = {};
-  if (Array.isArray(counts) && el.answers.children.length === counts.length) {
-    [...el.answers.children].forEach((btn, idx) => {
-      optionIdToCount[btn.dataset.id] = 0;
-    });
+  clearCountdown();
+}
+
+// Auto-advance: the next question starts by itself after the reveal
+socket.on('advance:timer', showAdvance);
+
+function showAdvance({ at, final, serverNow: serverTime, paused }) {
+  const next = final ? 'Podium' : 'Next question';
+  clearInterval(advanceInterval);
+  if (paused) {
+    el.timer.textContent = `${next} on hold`;
+    return;
+  }
+  noteServerTime(serverTime);
+  advanceInterval = countdownTo(at, secLeft => { el.timer.textContent = `${next} in ${secLeft}s`; });
+}
+
+el.nextBtn.addEventListener('click', () => {
+  el.nextBtn.classList.add('hidden');
+  socket.emit('player:next', { gameId });
+});
 
-    if (window._lastOptionIdOrder && Array.isArray(counts)) {
-      window._lastOptionIdOrder.forEach((optionId, idx) => {
-        optionIdToCount[optionId] = counts[idx] || 0;
+// Reveal for typed, numeric and ordering questions: show what the right answer was
+function renderTypedReveal(reveal) {
+  if (reveal.type === 'order') {
+    // Number every option with its correct position
+    const buttons = [...el.answers.querySelectorAll('.answer')];
+    el.answers.querySelector('.answer-controls')?.remove();
+    sortByCorrectOrder(buttons, reveal.correctOrder)
+      .forEach((btn, i) => {
+        btn.disabled = true;
+        setOrderBadge(btn, i + 1);
+        el.answers.appendChild(btn);
       });
-    }
+    return;
   }
+  const div = document.createElement('div');
+  div.className = 'reveal-answer';
+  div.textContent = describeTypedAnswer(reveal);
+  el.answers.appendChild(div);
+}
 
-  [...el.answers.children].forEach((btn, idx) => {
+// Reveal for choice questions: highlight the right option(s) and show pick counts
+function renderChoiceReveal(correctOptionIds, counts) {
+  // Ensure all ids are strings for comparison
+  const correctIds = (correctOptionIds || []).map(String);
+  const picked = [].concat(lockedAnswer ?? []).map(String); // one id, or several for multiselect
+  const gotCorrect = picked.length > 0 && picked.every(id => correctIds.includes(id)) &&
+    (currentQuestionType !== 'multiselect' || picked.length === correctIds.length);
+
+  el.answers.querySelector('.answer-controls')?.remove();
+  const buttons = [...el.answers.querySelectorAll('.answer')];
+
+  buttons.forEach(btn => {
     const optId = String(btn.dataset.id);
-    btn.classList.remove('correct', 'wrong', 'player-correct', 'player-wrong', 'player-reveal-correct');
+    btn.disabled = true;
+    btn.classList.remove('selected', 'correct', 'wrong', 'player-correct', 'player-wrong', 'player-reveal-correct');
     if (gotCorrect) {
       if (correctIds.includes(optId)) {
         btn.classList.add('player-correct');
@@ -212,53 +677,58 @@ socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
         btn.classList.add('wrong');
       }
     } else {
-      if (lockedId && optId === lockedId && !correctIds.includes(optId)) {
+      if (picked.includes(optId) && !correctIds.includes(optId)) {
         btn.classList.add('wrong');
       }
       if (correctIds.includes(optId)) {
         btn.classList.add('player-reveal-correct');
-      } else if (optId !== lockedId) {
+      } else if (!picked.includes(optId)) {
         btn.classList.add('wrong');
       }
     }
-    // Add count badge (use correct mapping)
-    if (optionIdToCount && optId in optionIdToCount) {
-      let count = optionIdToCount[optId] || 0;
-      let badge = btn.querySelector('.answer-count-badge');
-      if (badge) badge.remove();
-      const badgeEl = document.createElement('span');
-      badgeEl.className = 'answer-count-badge';
-      badgeEl.textContent = count;
-      badgeEl.style.cssText = 'margin-left:8px;background:#222;color:#fff;border-radius:10px;padding:2px 8px;font-size:0.95em;';
-      btn.appendChild(badgeEl);
-    }
+    // How many picked this option, matched by id as counts follow the server's option order
+    const idx = shownOptions.findIndex(opt => String(opt.id) === optId);
+    if (Array.isArray(counts) && idx !== -1) addCountBadge(btn, counts[idx] || 0);
   });
+}
 
-  // Leaderboard
-  el.board.innerHTML = '';
-  leaderboard.forEach((p, i) => {
-    const li = document.createElement('li');
-    // Show score and delta if delta > 0
-    let scoreText = `${p.name} - ${p.score.toLocaleString()}`;
-    if (typeof p.delta === 'number' && p.delta > 0) {
-      scoreText += ` (+${p.delta})`;
-    }
-    li.textContent = scoreText;
-    if (p.lastCorrect) li.classList.add('correctish');
-    el.board.appendChild(li);
-  });
-  el.leaderboard.classList.remove('hidden'); // ensure leaderboard is shown on reveal
+// This player's own outcome for the round, sent privately after the reveal
+socket.on('player:result', renderResult);
+
+function renderResult({ answered, correct, delta, streak, streakBonus }) {
+  document.body.classList.toggle('correct-bg', correct);
+  document.body.classList.toggle('wrong-bg', answered && !correct);
+  if (correct) {
+    el.status.textContent = delta > 0 ? `Correct! +${delta}` : 'Correct!';
+  } else if (delta > 0) {
+    el.status.textContent = `Partly right! +${delta}`;
+  } else if (delta < 0) {
+    el.status.textContent = `Not quite. ${delta}`;
+  } else {
+    el.status.textContent = answered ? 'Not quite.' : 'No answer this time.';
+  }
+
+  // Streak indicator from two correct answers in a row
+  el.streak.classList.toggle('hidden', !(streak >= 2));
+  if (streak >= 2) {
+    el.streak.textContent = streakBonus > 0
+      ? `🔥 ${streak} in a row! Streak bonus +${streakBonus}`
+      : `🔥 ${streak} in a row!`;
+  }
 
   // Fade feedback after short delay
   setTimeout(() => {
     document.body.classList.remove('correct-bg', 'wrong-bg');
   }, 4500);
-
-  clearCountdown();
-});
+}
 
 // Game Over
-socket.on('game:over', ({ leaderboard }) => {
+socket.on('game:over', ({ leaderboard, awards }) => {
+  clearSessionToken();
+  clearInterval(advanceInterval);
+  clearCountdown();
+  el.summary.classList.add('hidden'); // player:summary follows with this player's own results
+  renderAwards(el.awards, awards);
   el.play.classList.add('hidden');
   el.leaderboard.classList.add('hidden');
   el.over.classList.remove('hidden');
@@ -283,6 +753,63 @@ socket.on('game:over', ({ leaderboard }) => {
   clearCountdown();
 });
 
+// This player's final rank, accuracy and points for each question
+socket.on('player:summary', ({ rank, players, score, correct, total, accuracy, questions }) => {
+  el.summaryRank.textContent = `You finished #${rank} of ${players}`;
+  el.summaryFigures.textContent = `${score.toLocaleString()} points · ${correct}/${total} correct (${accuracy}%)`;
+  el.summaryQuestions.innerHTML = '';
+  questions.forEach((q, i) => {
+    const row = document.createElement('tr');
+    const outcome = q.correct ? '✓' : q.answered ? (q.points > 0 ? '½' : '✗') : '–';
+    [i + 1, q.text, outcome, q.points > 0 ? `+${q.points}` : q.points].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      row.appendChild(td);
+    });
+    row.className = q.correct ? 'correctish' : '';
+    el.summaryQuestions.appendChild(row);
+  });
+  el.summary.classList.remove('hidden');
+});
+
+// Host dropped out: the game is on hold until they reconnect
+socket.on('game:paused', ({ reason }) => {
+  el.notice.textContent = reason || 'Game paused.';
+  el.notice.classList.remove('hidden');
+});
+
+socket.on('game:resumed', () => {
+  el.notice.classList.add('hidden');
+});
+
+// Game cancelled
+socket.on('game:cancelled', ({ reason }) => {
+  clearSessionToken();
+  clearCountdown();
+  el.notice.textContent = reason || 'Game ended.';
+  el.notice.classList.remove('hidden');
+});
+
+// Host removed this player from the game
+socket.on('player:kicked', ({ reason, banned }) => {
+  clearSessionToken();
+  clearCountdown();
+  [el.waiting, el.play, el.leaderboard, el.over].forEach(section => section.classList.add('hidden'));
+  el.join.classList.remove('hidden');
+  el.joinBtn.disabled = !!banned;
+  el.joinMsg.textContent = '';
+  el.notice.textContent = reason;
+  el.notice.classList.remove('hidden');
+});
+
+// Host changed this player's name
+socket.on('player:renamed', ({ name }) => {
+  el.name.value = name;
+  el.notice.textContent = `The host changed your name to ${name}.`;
+  el.notice.classList.remove('hidden');
+  setTimeout(() => el.notice.classList.add('hidden'), 4000);
+});
+
 if (el.backToJoinBtn) {
   el.backToJoinBtn.addEventListener('click', () => {
     window.location.href = '/join.html';
@@ -291,15 +818,3 @@ if (el.backToJoinBtn) {
 
 const origAddEventListener = EventTarget.prototype.addEventListener;
 
-socket.on('game:over', ({ leaderboard }) => {
-  el.play.classList.add('hidden');
-  el.leaderboard.classList.add('hidden');
-  el.over.classList.remove('hidden');
-  el.finalBoard.innerHTML = '';
-  leaderboard.forEach((p, i) => {
-    const li = document.createElement('li');
-    li.textContent = `#${i + 1} ${p.name} — ${p.score}`;
-    el.finalBoard.appendChild(li);
-  });
-});
-
@@ -0,0 +1,68 @@
+// public/podium.js
+// End-of-game podium and awards, shared by the host, display and player screens.
+
+const PODIUM_STEP_MS = 1500; // pause before each of 3rd, 2nd and 1st place appears
+
+// How each award from the server ({type, names, value}) is described
+const AWARD_LABELS = {
+  fastest: { title: 'Fastest fingers', detail: ms => `${(ms / 1000).toFixed(1)}s average answer` },
+  streak: { title: 'Longest streak', detail: n => `${n} right in a row` },
+  improved: { title: 'Most improved', detail: n => `up ${n} ${n === 1 ? 'place' : 'places'} since question 1` },
+  perfect: { title: 'Perfect score', detail: n => `all ${n} questions right` }
+};
+
+// One podium step for the entry in place i (0 = winner)
+function makePodiumStep(entry, i) {
+  const step = document.createElement('div');
+  step.className = `podium-step place-${i + 1}`;
+  const name = document.createElement('div');
+  name.className = 'podium-name';
+  name.textContent = entry.name;
+  const score = document.createElement('div');
+  score.className = 'podium-score';
+  score.textContent = entry.score.toLocaleString();
+  const rank = document.createElement('div');
+  rank.className = 'podium-rank';
+  rank.textContent = `#${i + 1}`;
+  step.append(name, score, rank);
+  return step;
+}
+
+// The top three at once, laid out 2nd, 1st, 3rd from left to right
+function renderPodium(container, entries) {
+  container.innerHTML = '';
+  [1, 0, 2].filter(i => entries[i]).forEach(i => container.appendChild(makePodiumStep(entries[i], i)));
+}
+
+// The top three revealed one at a time from 3rd place up; onWinner runs as 1st place appears
+function playPodium(container, entries, onWinner) {
+  renderPodium(container, entries);
+  const steps = [2, 1, 0].filter(i => entries[i]).map(i => container.querySelector(`.place-${i + 1}`));
+  if (!steps.length && onWinner) onWinner();
+  steps.forEach(step => step.classList.add('podium-hidden'));
+  steps.forEach((step, n) => setTimeout(() => {
+    step.classList.remove('podium-hidden');
+    step.classList.add('podium-rise');
+    if (n === steps.length - 1 && onWinner) onWinner();
+  }, (n + 1) * PODIUM_STEP_MS));
+}
+
+// List the awards someone won; the container stays hidden when there are none
+function renderAwards(container, awards) {
+  container.innerHTML = '';
+  (awards || []).forEach(({ type, names, value }) => {
+    const label = AWARD_LABELS[type];
+    if (!label) return;
+    const li = document.createElement('li');
+    const title = document.createElement('strong');
+    title.textContent = label.title;
+    const who = document.createElement('span');
+    who.textContent = names.join(', ');
+    const detail = document.createElement('span');
+    detail.className = 'muted';
+    detail.textContent = label.detail(value);
+    li.append(title, who, detail);
+    container.appendChild(li);
+  });
+  container.classList.toggle('hidden', !container.children.length);
+}
@@ -0,0 +1,217 @@
+// public/qrcode.js
+// Minimal QR code generator (byte mode, error correction level M, versions 1-10), so the host
+// lobby can show a scannable join link without calling an outside QR service.
+// makeQrMatrix(text) returns rows of booleans (true = dark); drawQrCode paints one on a canvas.
+
+// Per version: [data codewords per block..., EC codewords per block]
+const QR_BLOCKS_M = [
+  null,
+  [[16], 10], [[28], 16], [[44], 26], [[32, 32], 18], [[43, 43], 24],
+  [[27, 27, 27, 27], 16], [[31, 31, 31, 31], 18], [[38, 38, 39, 39], 22],
+  [[36, 36, 36, 37, 37], 22], [[43, 43, 43, 43, 44], 26]
+];
+const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Galois field multiplication for Reed-Solomon (polynomial 0x11D)
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomon(data, degree) {
+  const divisor = new Array(degree - 1).fill(0).concat(1);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < divisor.length; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 2);
+  }
+  const result = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// Data and error correction codewords, interleaved across blocks
+function qrCodewords(bytes, version) {
+  const [blockSizes, ecLength] = QR_BLOCKS_M[version];
+  const capacity = blockSizes.reduce((a, b) => a + b, 0);
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  let offset = 0;
+  const blocks = blockSizes.map(size => {
+    const block = data.slice(offset, offset += size);
+    return { data: block, ec: reedSolomon(block, ecLength) };
+  });
+  const out = [];
+  for (let i = 0; i < Math.max(...blockSizes); i++) blocks.forEach(b => { if (i < b.data.length) out.push(b.data[i]); });
+  for (let i = 0; i < ecLength; i++) blocks.forEach(b => out.push(b.ec[i]));
+  return out;
+}
+
+// Finder, timing and alignment patterns plus the format and version areas
+function qrFunctionPatterns(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const align = QR_ALIGNMENT[version];
+  align.forEach((cy, i) => align.forEach((cx, j) => {
+    const last = align.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  drawQrFormat(set, size, 0); // reserve the area; redrawn once the mask is chosen
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+  return { size, modules, reserved };
+}
+
+// Error correction level M (bits 00) and the mask number, with their BCH check bits
+function drawQrFormat(set, size, mask) {
+  const data = mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// Lower is easier to scan: long runs, 2x2 blocks, finder look-alikes and unbalanced dark/light
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(''));
+    lines.push(modules.map(row => Number(row[i])).join(''));
+  }
+  lines.forEach(line => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach(run => { penalty += run.length - 2; });
+    penalty += 40 * ((line.match(/(?=10111010000|00001011101)/g) || []).length);
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
+  penalty += 10 * Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5);
+  return penalty;
+}
+
+function makeQrMatrix(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const version = QR_BLOCKS_M.findIndex((v, i) => v && v[0].reduce((a, b) => a + b, 0) >= bytes.length + (i < 10 ? 2 : 3));
+  if (version === -1) throw new Error('Text is too long for a QR code');
+  const { size, modules, reserved } = qrFunctionPatterns(version);
+
+  // Fill the data in two-column zigzags from the bottom right, skipping the timing column
+  const codewords = qrCodewords(bytes, version);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (reserved[y][x]) continue;
+        if (i < codewords.length * 8) modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+
+  let best = null;
+  QR_MASKS.forEach((maskFn, mask) => {
+    const masked = modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== maskFn(x, y))));
+    drawQrFormat((x, y, dark) => { masked[y][x] = dark; }, size, mask);
+    const penalty = qrPenalty(masked);
+    if (!best || penalty < best.penalty) best = { penalty, masked };
+  });
+  return best.masked;
+}
+
+// Paint a QR code on a canvas, with the quiet zone around it that scanners need
+function drawQrCode(canvas, text) {
+  const matrix = makeQrMatrix(text);
+  const quiet = 4;
+  const cells = matrix.length + quiet * 2;
+  const scale = Math.max(1, Math.floor(canvas.width / cells));
+  canvas.width = canvas.height = cells * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  matrix.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) ctx.fillRect((x + quiet) * scale, (y + quiet) * scale, scale, scale);
+  }));
+}
@@ -0,0 +1,158 @@
+// public/question.js
+// Question, answer and reveal pieces shared by the host, display and player screens (and the
+// host's quiz editor preview). Loaded before each page's own script.
+
+// Color and shape of each answer, by position
+const GLOBAL_ANSWER_STYLES = [
+  { color: 'red',    shape: '■' },
+  { color: 'blue',   shape: '♦' },
+  { color: 'yellow', shape: '●' },
+  { color: 'green',  shape: '▲' }
+];
+
+// Utility to shuffle an array (Fisher-Yates)
+function shuffleArray(arr) {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Show a question's image and audio or video clip (uploaded to /media/ or linked).
+// muted: just the picture and a silent video, for the big screen; the host's device plays the sound.
+function renderMedia(container, { imageUrl, audioUrl, videoUrl }, autoplay, muted = false) {
+  container.innerHTML = '';
+  if (imageUrl) {
+    const img = document.createElement('img');
+    img.className = 'ref-image';
+    img.alt = 'reference';
+    img.src = imageUrl;
+    container.appendChild(img);
+  }
+  const clipUrl = videoUrl || (muted ? null : audioUrl);
+  if (clipUrl) {
+    const clip = document.createElement(videoUrl ? 'video' : 'audio');
+    clip.src = clipUrl;
+    clip.controls = !muted;
+    clip.muted = muted;
+    clip.autoplay = autoplay;
+    clip.playsInline = true;
+    container.appendChild(clip);
+  }
+  container.classList.toggle('hidden', !container.children.length);
+}
+
+// Badge for double-points and warm-up rounds
+function renderMultiplier(badge, multiplier) {
+  const m = typeof multiplier === 'number' ? multiplier : 1;
+  badge.classList.toggle('hidden', m === 1);
+  if (m === 0) badge.textContent = 'Warm-up · no points';
+  else if (m === 2) badge.textContent = 'Double points!';
+  else badge.textContent = `${m}× points`;
+}
+
+// Colored tile (a button unless tagName says otherwise) for the option at position idx.
+// Labels are quiz text, so never HTML: library quizzes can come from anyone.
+function createAnswerTile(opt, idx, tagName = 'button') {
+  const style = GLOBAL_ANSWER_STYLES[idx % GLOBAL_ANSWER_STYLES.length];
+  const tile = document.createElement(tagName);
+  tile.className = `answer ${style.color}`;
+  const shape = document.createElement('span');
+  shape.className = 'shape';
+  shape.textContent = style.shape;
+  const label = document.createElement('span');
+  label.className = 'label';
+  label.textContent = opt.label;
+  tile.append(shape, ' ', label);
+  if (opt.id != null) tile.dataset.id = opt.id; // for marking the answer at the reveal
+  addOptionImage(tile, opt);
+  return tile;
+}
+
+// Picture shown on an answer tile when the option has one
+function addOptionImage(tile, opt) {
+  if (!opt.imageUrl) return;
+  const img = document.createElement('img');
+  img.className = 'option-image';
+  img.src = opt.imageUrl;
+  img.alt = opt.label;
+  tile.querySelector('.label').before(img);
+}
+
+// How many players picked an option (placed it right, for ordering), shown on its tile
+function addCountBadge(tile, count) {
+  tile.querySelector('.answer-count-badge')?.remove();
+  const badge = document.createElement('span');
+  badge.className = 'answer-count-badge';
+  badge.textContent = count;
+  badge.style.cssText = 'margin-left:8px;background:#222;color:#fff;border-radius:10px;padding:2px 8px;font-size:0.95em;';
+  tile.appendChild(badge);
+}
+
+// An order question's tiles, sorted into the correct order
+function sortByCorrectOrder(tiles, correctOrder) {
+  return [...tiles].sort((a, b) => correctOrder.indexOf(a.dataset.id) - correctOrder.indexOf(b.dataset.id));
+}
+
+// The right answer to a typed or numeric question, e.g. "Answer: 42 (± 2)"
+function describeTypedAnswer(reveal) {
+  if (reveal.type === 'text') return `Answer: ${reveal.acceptedAnswers[0]}`;
+  if (reveal.closest) return `Answer: ${reveal.answer} (closest guess wins)`;
+  return reveal.tolerance ? `Answer: ${reveal.answer} (± ${reveal.tolerance})` : `Answer: ${reveal.answer}`;
+}
+
+// Standings after a question, with the points won or lost this round and running streaks
+function renderLeaderboard(list, leaderboard) {
+  list.innerHTML = '';
+  leaderboard.forEach(p => {
+    const li = document.createElement('li');
+    // Negative marking can take points away, so the delta can be either sign
+    let text = `${p.name} - ${p.score.toLocaleString()}`;
+    if (typeof p.delta === 'number' && p.delta !== 0) text += p.delta > 0 ? ` (+${p.delta})` : ` (${p.delta})`;
+    if (p.streak >= 2) text += ` 🔥${p.streak}`;
+    li.textContent = text;
+    if (p.lastCorrect) li.classList.add('correctish');
+    list.appendChild(li);
+  });
+}
+
+// Bars for the reveal chart: picks per option (correct placements for ordering), in the order
+// the options were shown, or the most common typed answers
+function getRevealBars(reveal, options) {
+  if (reveal.type === 'text' || reveal.type === 'numeric') {
+    return (reveal.responses || []).map(r => ({ label: String(r.value), count: r.count, correct: r.correct, color: r.correct ? 'green' : 'muted' }));
+  }
+  return options.map((opt, idx) => ({
+    label: opt.label,
+    count: (reveal.counts || [])[idx] || 0,
+    correct: reveal.type === 'order' ? false : reveal.correctOptionIds.includes(opt.id),
+    color: GLOBAL_ANSWER_STYLES[idx % GLOBAL_ANSWER_STYLES.length].color
+  }));
+}
+
+// Horizontal bar chart; each bar's length is its count out of total
+function makeBarChart(bars, total) {
+  const chart = document.createElement('div');
+  chart.className = 'bar-chart';
+  bars.forEach(b => {
+    const row = document.createElement('div');
+    row.className = 'bar-row';
+    const label = document.createElement('span');
+    label.className = 'bar-label';
+    label.textContent = (b.correct ? '✓ ' : '') + b.label;
+    const track = document.createElement('span');
+    track.className = 'bar-track';
+    const fill = document.createElement('span');
+    fill.className = `bar-fill ${b.color}`;
+    fill.style.width = `${total ? (b.count / total) * 100 : 0}%`;
+    track.appendChild(fill);
+    const value = document.createElement('span');
+    value.className = 'bar-value';
+    value.textContent = b.count;
+    row.append(label, track, value);
+    chart.appendChild(row);
+  });
+  return chart;
+}
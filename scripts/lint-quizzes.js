@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// scripts/lint-quizzes.js
+// Check quiz files (JSON, or CSV/Markdown to be imported) with the same validator the server uses.
+// Usage: node scripts/lint-quizzes.js <folder or file>...
+const fs = require('fs');
+const path = require('path');
+const { validateQuiz } = require('../lib/validation');
+const { importQuiz } = require('../lib/importers');
+
+const QUIZ_FILE_PATTERN = /\.(json|csv|tsv|md|markdown)$/i;
+
+// Expand folders into the quiz files they contain
+function collectFiles(targets) {
+  const files = [];
+  for (const target of targets) {
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target)
+        .filter(name => QUIZ_FILE_PATTERN.test(name))
+        .sort()
+        .forEach(name => files.push(path.join(target, name)));
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+function main() {
+  const targets = process.argv.slice(2);
+  if (targets.length === 0) {
+    console.error('Usage: node scripts/lint-quizzes.js <folder or file>...');
+    process.exit(2);
+  }
+
+  let files;
+  try {
+    files = collectFiles(targets);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    let errors;
+    try {
+      errors = validateQuiz(importQuiz(fs.readFileSync(file, 'utf8'), { filename: file }).quiz);
+    } catch (e) {
+      errors = [{ path: '', message: e.message }];
+    }
+    if (errors.length) {
+      failed++;
+      errors.forEach(err => console.log(`${file}: ${err.path ? err.path + ' ' : ''}${err.message}`));
+    }
+  }
+  console.log(`${files.length} quiz file(s) checked, ${failed} with errors.`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
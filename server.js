@@ -2,16 +2,32 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
-const { customAlphabet } = require('nanoid');
+const { customAlphabet, nanoid: makeToken } = require('nanoid');
+const results = require('./lib/results');
+const library = require('./lib/library');
+const assignments = require('./lib/assignments');
+const { importQuiz } = require('./lib/importers');
+const media = require('./lib/media');
+const { sanitizeName, isBlockedName, suggestName } = require('./lib/names');
+const { validateQuiz, MIN_TIME_LIMIT_SECONDS, MAX_TIME_LIMIT_SECONDS } = require('./lib/validation');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 const nanoid = customAlphabet('0123456789', 4);
+const makeQuizId = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyz', 10);
 
 // Configuration
 const MAX_GAMES = 100;
 const MAX_PLAYERS_PER_GAME = 100;
+const MAX_TEXT_ANSWER_LENGTH = 100;
+const DEFAULT_POINTS = 1000;
+const MAX_STREAK_BONUS_STEPS = 5; // streak bonus stops growing after this many extra correct answers
+const PLAYER_RECONNECT_GRACE_MS = 60 * 1000; // keep a dropped player's seat for 60 seconds
+const HOST_RECONNECT_GRACE_MS = 2 * 60 * 1000; // keep a game paused for 2 minutes while the host is away
+const MAX_EXTRA_SECONDS = 60; // most time the host can add to a question at once
+const MAX_ASSIGNMENT_DAYS = 90; // furthest ahead a homework deadline can be
+const SELF_PACED_IDLE_MS = 15 * 60 * 1000; // end a homework game whose player stops moving on
 
 const HOST = "0.0.0.0";
 const PORT = process.env.PORT || 3000;
@@ -19,35 +35,466 @@ const PORT = process.env.PORT || 3000;
 const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW_MS = 10 * 1000; // 10 seconds
 const RATE_LIMIT_MAX = 30; // max events per window per IP
+const MAX_QUIZ_UPLOAD_SIZE = '1mb';
 
 // Serve static files from 'public' directory
 app.use(express.static('public'));
+// Uploaded quiz media; nosniff so browsers only ever treat a file as the type it was checked as
+app.use('/media', express.static(media.MEDIA_DIR, {
+  setHeaders: res => res.set('X-Content-Type-Options', 'nosniff')
+}));
 
 const games = new Map(); // gameId -> state
 
+// Reject API requests over the rate limit
+function apiRateLimit(req, res, next) {
+  if (!checkRateLimit(req.ip)) {
+    res.status(429).json({ error: 'Rate limit exceeded' });
+    return;
+  }
+  next();
+}
+
+// Players waiting for approval hold a seat too
+function isGameFull(state) {
+  return state.players.size + state.pending.size >= MAX_PLAYERS_PER_GAME;
+}
+
+// Read-only room lookup used by join.html and player.js before a name is entered
+app.get('/api/games/:id', apiRateLimit, (req, res) => {
+  const state = games.get(req.params.id);
+  if (!state) {
+    res.status(404).json({ exists: false, error: 'Game not found' });
+    return;
+  }
+  res.json({
+    exists: true,
+    gameId: state.id,
+    title: state.title,
+    started: state.started,
+    full: isGameFull(state),
+    teams: state.teams ? state.teams.names : null
+  });
+});
+
+// Validate a quiz sent to the library and tidy its tags; sends a 400 and returns null if invalid
+function readLibraryQuiz(req, res) {
+  const quiz = req.body;
+  const errors = validateQuiz(quiz);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid quiz JSON format.', errors });
+    return null;
+  }
+  if (quiz.tags) quiz.tags = [...new Set(quiz.tags.map(t => t.trim()))];
+  return quiz;
+}
+
+// Load a library quiz for PUT or DELETE; sends a 404 or 403 and returns null unless ?key= is its edit key
+async function loadOwnedQuiz(req, res) {
+  const quiz = await library.loadQuiz(req.params.id);
+  if (!quiz) {
+    res.status(404).json({ error: 'Quiz not found' });
+    return null;
+  }
+  if (!quiz.key || req.query.key !== quiz.key) {
+    res.status(403).json({ error: 'Only the browser that saved this quiz can change it.' });
+    return null;
+  }
+  return quiz;
+}
+
+const quizBody = express.json({ limit: MAX_QUIZ_UPLOAD_SIZE });
+
+// Saved quizzes, filtered by ?search= (title) and ?tag=
+app.get('/api/quizzes', apiRateLimit, async (req, res) => {
+  res.json(await library.listQuizzes({ search: req.query.search, tag: req.query.tag }));
+});
+
+// Save a new quiz to the library
+app.post('/api/quizzes', apiRateLimit, quizBody, async (req, res) => {
+  const quiz = readLibraryQuiz(req, res);
+  if (!quiz) return;
+  const id = makeQuizId();
+  const key = makeToken(); // needed to replace or delete it later
+  await library.saveQuiz(id, { ...quiz, key });
+  res.status(201).json({ id, key, title: quiz.title });
+});
+
+// Full JSON of a saved quiz
+app.get('/api/quizzes/:id', apiRateLimit, async (req, res) => {
+  const quiz = await library.loadQuiz(req.params.id);
+  if (!quiz) {
+    res.status(404).json({ error: 'Quiz not found' });
+    return;
+  }
+  const { key, ...publicQuiz } = quiz;
+  res.json(publicQuiz);
+});
+
+// Replace a saved quiz (needs its edit key)
+app.put('/api/quizzes/:id', apiRateLimit, quizBody, async (req, res) => {
+  const saved = await loadOwnedQuiz(req, res);
+  if (!saved) return;
+  const quiz = readLibraryQuiz(req, res);
+  if (!quiz) return;
+  await library.saveQuiz(req.params.id, { ...quiz, key: saved.key });
+  res.json({ id: req.params.id, title: quiz.title });
+});
+
+// Remove a saved quiz (needs its edit key)
+app.delete('/api/quizzes/:id', apiRateLimit, async (req, res) => {
+  if (!await loadOwnedQuiz(req, res)) return;
+  if (!await library.deleteQuiz(req.params.id)) {
+    res.status(404).json({ error: 'Quiz not found' });
+    return;
+  }
+  res.status(204).end();
+});
+
+// Convert a CSV, Markdown or JSON file to quiz JSON for the host's preview; nothing is saved
+app.post('/api/import', apiRateLimit, quizBody, (req, res) => {
+  const { text, filename, format } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    res.status(400).json({ error: 'The file is empty.' });
+    return;
+  }
+  let imported;
+  try {
+    imported = importQuiz(text, { filename, format });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+    return;
+  }
+  res.json({ ...imported, errors: validateQuiz(imported.quiz) });
+});
+
+// Upload an image or audio/video clip for a quiz. ?folder= keeps a quiz's files together;
+// without it a new folder is created. The file is the raw request body with its Content-Type.
+app.post('/api/media', apiRateLimit, express.raw({ type: req => media.isMediaType(req.get('Content-Type')), limit: media.MAX_CLIP_SIZE }), async (req, res) => {
+  const folder = req.query.folder || makeQuizId();
+  if (typeof folder !== 'string' || !media.MEDIA_FOLDER_PATTERN.test(folder)) {
+    res.status(400).json({ error: 'Invalid media folder' });
+    return;
+  }
+  const problem = media.checkMedia(req.body, req.get('Content-Type'));
+  if (problem) {
+    res.status(400).json({ error: problem });
+    return;
+  }
+  const saved = await media.saveMedia(folder, req.body, req.get('Content-Type'));
+  if (saved.error) {
+    res.status(400).json({ error: saved.error });
+    return;
+  }
+  res.status(201).json({ folder, url: saved.url });
+});
+
+// Publish a quiz as self-paced homework, open to players until the deadline
+app.post('/api/assignments', apiRateLimit, quizBody, async (req, res) => {
+  const { quiz, deadline } = req.body || {};
+  const errors = validateQuiz(quiz);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid quiz JSON format.', errors });
+    return;
+  }
+  const deadlineMs = Date.parse(deadline);
+  if (!(deadlineMs > Date.now() && deadlineMs <= Date.now() + MAX_ASSIGNMENT_DAYS * 24 * 60 * 60 * 1000)) {
+    res.status(400).json({ error: `The deadline must be within the next ${MAX_ASSIGNMENT_DAYS} days` });
+    return;
+  }
+  const assignment = {
+    id: makeQuizId(),
+    key: makeToken(), // lets the host see the results
+    title: quiz.title,
+    quiz,
+    createdAt: new Date().toISOString(),
+    deadline: new Date(deadlineMs).toISOString(),
+    attempts: []
+  };
+  await assignments.saveAssignment(assignment);
+  res.status(201).json({ id: assignment.id, key: assignment.key, title: assignment.title, deadline: assignment.deadline });
+});
+
+// What a player needs before starting a homework quiz
+app.get('/api/assignments/:id', apiRateLimit, async (req, res) => {
+  const assignment = await assignments.loadAssignment(req.params.id);
+  if (!assignment) {
+    res.status(404).json({ error: 'Homework not found' });
+    return;
+  }
+  res.json({
+    id: assignment.id,
+    title: assignment.title,
+    deadline: assignment.deadline,
+    open: assignments.isOpen(assignment),
+    questionCount: assignment.quiz.questions.length
+  });
+});
+
+// Combined leaderboard and answers of everyone who took a homework quiz, as JSON or CSV (?format=csv)
+app.get('/api/assignments/:id/results', apiRateLimit, async (req, res) => {
+  const assignment = await assignments.loadAssignment(req.params.id);
+  if (!assignment || req.query.key !== assignment.key) {
+    res.status(404).json({ error: 'Homework not found' });
+    return;
+  }
+  const report = assignments.buildAssignmentReport(assignment);
+  if (req.query.format === 'csv') {
+    res.type('text/csv').attachment(`nanoquiz-homework-${assignment.id}.csv`).send(results.reportToCsv(report));
+    return;
+  }
+  res.json(report);
+});
+
+// Summaries of past games
+app.get('/api/results', apiRateLimit, async (req, res) => {
+  res.json(await results.listReports());
+});
+
+// Full report of a past game as JSON or CSV (?format=csv); needs the key given to the host
+app.get('/api/results/:id', apiRateLimit, async (req, res) => {
+  const report = await results.loadReport(req.params.id);
+  if (!report || req.query.key !== report.key) {
+    res.status(404).json({ error: 'Report not found' });
+    return;
+  }
+  const { key, ...publicReport } = report;
+  const filename = `nanoquiz-${report.gameId}-${report.endedAt.slice(0, 10)}`;
+  if (req.query.format === 'csv') {
+    res.type('text/csv').attachment(`${filename}.csv`).send(results.reportToCsv(publicReport));
+    return;
+  }
+  res.attachment(`${filename}.json`).json(publicReport);
+});
+
 function shuffle(arr) {
   return arr.map(v => [Math.random(), v]).sort((a, b) => a[0] - b[0]).map(v => v[1]);
 }
 
+// Order questions must not start out already solved: a shuffle that lands on the answer is rotated by one
+function shuffleOrderOptions(options) {
+  const shuffled = shuffle(options);
+  if (shuffled.some((o, i) => o !== options[i])) return shuffled;
+  return [...options.slice(1), ...options.slice(0, 1)];
+}
+
+// Fixed options used by true/false questions
+const TRUE_FALSE_OPTIONS = [
+  { id: 'true', label: 'True' },
+  { id: 'false', label: 'False' }
+];
+
+// Fill in the type-specific fields a question needs at game time
+function prepareQuestion(q) {
+  const type = q.type || 'multiple';
+  switch (type) {
+    case 'truefalse':
+      return { ...q, type, options: TRUE_FALSE_OPTIONS, correctOptionIds: [String(q.answer)] };
+    case 'text':
+    case 'numeric':
+      return { ...q, type, options: [], correctOptionIds: [] };
+    case 'order':
+      // options are authored in the correct order; players see them shuffled
+      return { ...q, type, correctOptionIds: [], correctOrder: q.options.map(o => o.id), displayOptions: shuffleOrderOptions(q.options) };
+    default:
+      return { ...q, type };
+  }
+}
+
+// Resolve a question's scoring rules: question fields override quiz fields override defaults
+function resolveScoring(payload, q) {
+  const pick = key => (q[key] != null ? q[key] : payload[key]);
+  return {
+    mode: pick('scoringMode') || 'speed',
+    points: pick('points') != null ? pick('points') : DEFAULT_POINTS,
+    multiplier: pick('multiplier') != null ? pick('multiplier') : 1, // 2 = double points, 0 = warm-up
+    wrongPenalty: pick('wrongPenalty') || 0, // points taken away for a wrong answer
+    streakBonus: pick('streakBonus') || 0 // extra points per consecutive correct answer after the first
+  };
+}
+
+// Points for one answer; negative when negative marking applies to a wrong answer.
+// Speed points use the round's full length, including any time the host added.
+function computePoints(q, credit, answeredAtMs, startMs, endMs) {
+  const { mode, points, multiplier, wrongPenalty } = q.scoring;
+  if (credit === 0) return -Math.floor(wrongPenalty * multiplier);
+  let base = points;
+  if (mode === 'speed') {
+    const timeLimit = endMs - startMs;
+    const timeRemaining = Math.max(0, endMs - answeredAtMs);
+    base = points / 2 + (points / 2) * (timeRemaining / timeLimit);
+  }
+  return Math.floor(base * credit * multiplier);
+}
+
+// Bonus for a correct answer that extends a streak (streak already includes this answer)
+function computeStreakBonus(q, streak) {
+  const { streakBonus, multiplier } = q.scoring;
+  const steps = Math.min(MAX_STREAK_BONUS_STEPS, Math.max(0, streak - 1));
+  return Math.floor(streakBonus * steps * multiplier);
+}
+
+// Lowercase, strip accents and collapse whitespace so spellings compare loosely
+function normalizeText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Turn a raw player:answer payload into a stored answer, or null if it is invalid
+function normalizeAnswer(q, { optionId, answer }) {
+  switch (q.type) {
+    case 'text': {
+      if (typeof answer !== 'string') return null;
+      const text = answer.trim().slice(0, MAX_TEXT_ANSWER_LENGTH);
+      return text || null;
+    }
+    case 'numeric': {
+      if (answer === '' || answer == null) return null;
+      const n = Number(answer);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'multiselect': {
+      if (!Array.isArray(answer) || answer.length === 0) return null;
+      const ids = answer.map(String);
+      if (new Set(ids).size !== ids.length || !ids.every(id => q.options.some(o => o.id === id))) return null;
+      return ids;
+    }
+    case 'order': {
+      if (!Array.isArray(answer) || answer.length !== q.correctOrder.length) return null;
+      const ids = answer.map(String);
+      if (new Set(ids).size !== ids.length || !ids.every(id => q.correctOrder.includes(id))) return null;
+      return ids;
+    }
+    default:
+      return q.options.some(o => o.id === optionId) ? optionId : null;
+  }
+}
+
+// Smallest distance from the answer among all numeric guesses (closest-wins scoring)
+function getClosestDiff(q, players) {
+  let best = Infinity;
+  for (const p of players) {
+    if (p.answer != null) best = Math.min(best, Math.abs(p.answer - q.answer));
+  }
+  return best;
+}
+
+// Share of the points a stored answer earns: 1 when correct, 0 when wrong,
+// in between for partially right select-all-that-apply answers
+function getAnswerCredit(q, answer, closestDiff) {
+  if (answer == null) return 0;
+  switch (q.type) {
+    case 'text': {
+      const given = normalizeText(answer);
+      return q.acceptedAnswers.some(a => normalizeText(a) === given) ? 1 : 0;
+    }
+    case 'numeric': {
+      const diff = Math.abs(answer - q.answer);
+      return (q.closest ? diff === closestDiff : diff <= (q.tolerance || 0)) ? 1 : 0;
+    }
+    case 'order':
+      return answer.every((id, i) => id === q.correctOrder[i]) ? 1 : 0;
+    case 'multiselect': {
+      const right = answer.filter(id => q.correctOptionIds.includes(id)).length;
+      const wrong = answer.length - right;
+      if (right === q.correctOptionIds.length && wrong === 0) return 1;
+      if (!q.partialCredit) return 0;
+      // each correct pick earns a share, each wrong pick takes one back
+      return Math.max(0, (right - wrong) / q.correctOptionIds.length);
+    }
+    default:
+      return q.correctOptionIds.includes(answer) ? 1 : 0;
+  }
+}
+
+// Whether a stored answer is fully correct for this question
+function isCorrectAnswer(q, answer, closestDiff) {
+  return getAnswerCredit(q, answer, closestDiff) === 1;
+}
+
+// Per-type reveal details: counts per option, plus the answers players typed
+function summarizeAnswers(q, players, closestDiff) {
+  if (q.type === 'order') {
+    // How many players put each option in its correct position
+    const counts = q.displayOptions.map(opt => {
+      const pos = q.correctOrder.indexOf(opt.id);
+      return players.filter(p => p.answer && p.answer[pos] === opt.id).length;
+    });
+    return { counts, correctOrder: q.correctOrder };
+  }
+  if (q.type === 'text' || q.type === 'numeric') {
+    // Group identical answers and list the most common ones
+    const groups = new Map();
+    for (const p of players) {
+      if (p.answer == null) continue;
+      const key = q.type === 'text' ? normalizeText(p.answer) : String(p.answer);
+      const g = groups.get(key) || { value: p.answer, count: 0, correct: isCorrectAnswer(q, p.answer, closestDiff) };
+      g.count++;
+      groups.set(key, g);
+    }
+    const responses = [...groups.values()].sort((a, b) => b.count - a.count).slice(0, 10);
+    return q.type === 'text'
+      ? { counts: [], responses, acceptedAnswers: q.acceptedAnswers }
+      : { counts: [], responses, answer: q.answer, tolerance: q.tolerance || 0, closest: !!q.closest };
+  }
+
+  // Count how many players picked each option
+  const optionCounts = {};
+  for (const opt of q.options) {
+    optionCounts[opt.id] = 0;
+  }
+  for (const p of players) {
+    // multiselect answers count once for every option picked
+    for (const id of [].concat(p.answer ?? [])) {
+      if (optionCounts.hasOwnProperty(id)) optionCounts[id]++;
+    }
+  }
+  // Prepare counts array in the same order as q.options
+  return { counts: q.options.map(opt => optionCounts[opt.id] || 0) };
+}
+
 // Create initial game state from payload
 function createGameState(hostSocketId, payload) {
   const gameId = nanoid();
-  const defaultTime = Math.max(5, Math.min(90, payload.defaultTimeLimitSeconds || 20));
+  const defaultTime = Math.max(MIN_TIME_LIMIT_SECONDS, Math.min(MAX_TIME_LIMIT_SECONDS, payload.defaultTimeLimitSeconds || 20));
   const shuffledQuestions = shuffle(payload.questions).map((q, idx) => ({
-    ...q,
+    ...prepareQuestion(q),
+    scoring: resolveScoring(payload, q),
     index: idx,
-    timeLimitSeconds: Math.max(5, Math.min(90, q.timeLimitSeconds || defaultTime))
+    timeLimitSeconds: Math.max(MIN_TIME_LIMIT_SECONDS, Math.min(MAX_TIME_LIMIT_SECONDS, q.timeLimitSeconds || defaultTime)),
+    readingTimeSeconds: q.readingTimeSeconds ?? payload.readingTimeSeconds ?? 0
   }));
+  const autoAdvanceSeconds = payload.autoAdvanceSeconds || 0;
 
   return {
     id: gameId,
     hostSocketId,
+    hostToken: makeToken(), // secret that lets the host reclaim the game from a new socket
+    hostConnected: true,
+    hostDisconnectTimer: null,
     title: payload.title || 'Quiz',
+    teams: payload.teams ? { names: payload.teams.names.map(n => n.trim()), scoring: payload.teams.scoring || 'sum' } : null,
     questions: shuffledQuestions,
-    players: new Map(), // socketId -> {name, score, answeredAtMs, selectedOptionId, lastCorrect}
+    players: new Map(), // socketId -> {id, name, team, token, deviceId, connected, score, streak, answeredAtMs, answer, lastCorrect}
+    pending: new Map(), // socketId -> {id, name, team, deviceId} waiting for the host's approval
+    lobbyLocked: false, // no new players can join
+    requireApproval: false, // new players wait in pending until the host lets them in
+    bannedNames: new Set(), // lowercased names the host banned from rejoining
+    bannedDevices: new Set(), // device ids of banned players
     started: false,
     currentIndex: -1,
-    round: null // {startMs, endMs, timer, awaiting: Set(socketId)}
+    round: null, // {startMs, endMs, open, pausedAt, heldAt, heldForHost, timer, awaiting: Set(socketId)}
+    autoAdvanceMs: autoAdvanceSeconds * 1000, // 0 = the host moves on with host:next
+    advance: null, // {at, final, pausedLeftMs, heldForHost, timer} while the reveal counts down to the next question
+    startedAt: null,
+    history: [], // per finished round: {index, answers: [{playerId, name, team, answer, correct, points, timeMs}]}
+    nextPlayerId: 1,
+    lastReveal: null // last question:reveal payload, replayed to resuming players
   };
 }
 
@@ -58,66 +505,313 @@ function getPublicLeaderboard(state) {
       name: p.name,
       score: p.score,
       lastCorrect: !!p.lastCorrect,
-      delta: p.delta || 0
+      delta: p.delta || 0,
+      streak: p.streak || 0,
+      team: p.team || null
     }))
     .sort((a, b) => b.score - a.score);
   return entries;
 }
 
+// Team standings (name, score, total, members) sorted, or null when team mode is off.
+// score is the total or the per-member average depending on the game's team scoring.
+function getTeamLeaderboard(state) {
+  if (!state.teams) return null;
+  return state.teams.names
+    .map(name => {
+      const members = [...state.players.values()].filter(p => p.team === name);
+      const total = members.reduce((sum, p) => sum + p.score, 0);
+      const delta = members.reduce((sum, p) => sum + (p.delta || 0), 0);
+      const average = members.length ? Math.round(total / members.length) : 0;
+      return {
+        name,
+        score: state.teams.scoring === 'average' ? average : total,
+        delta: state.teams.scoring === 'average' && members.length ? Math.round(delta / members.length) : delta,
+        total,
+        members: members.length
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Pick the team with the fewest players (first listed wins ties)
+function autoAssignTeam(state) {
+  const sizes = new Map(state.teams.names.map(n => [n, 0]));
+  for (const p of state.players.values()) {
+    if (sizes.has(p.team)) sizes.set(p.team, sizes.get(p.team) + 1);
+  }
+  return [...sizes].sort((a, b) => a[1] - b[1])[0][0];
+}
+
 // Broadcast lobby state to all in room
 function broadcastLobby(state) {
+  io.to(state.id).emit('lobby:update', getLobby(state));
+  io.to(state.hostSocketId).emit('host:roster', getRoster(state));
+}
+
+// Player names (and teams) as everyone in the room sees them
+function getLobby(state) {
   const players = Array.from(state.players.values()).map(p => p.name);
-  io.to(state.id).emit('lobby:update', { players, gameId: state.id, title: state.title });
+  const teams = state.teams && state.teams.names.map(name => ({
+    name,
+    players: Array.from(state.players.values()).filter(p => p.team === name).map(p => p.name)
+  }));
+  return { players, teams, gameId: state.id, title: state.title };
+}
+
+// Player list for the host's management controls, with ids so players can be kicked or renamed
+function getRoster(state) {
+  const players = Array.from(state.players.values())
+    .map(p => ({ id: p.id, name: p.name, team: p.team, connected: p.connected }));
+  const pending = Array.from(state.pending.values()).map(p => ({ id: p.id, name: p.name }));
+  return {
+    players,
+    pending,
+    teams: state.teams && state.teams.names,
+    locked: state.lobbyLocked,
+    requireApproval: state.requireApproval
+  };
+}
+
+// Lowercased names in use by players and by those waiting for approval
+function getTakenNames(state, except = null) {
+  const entries = [...state.players.values(), ...state.pending.values()].filter(p => p !== except);
+  return new Set(entries.map(p => p.name.toLowerCase()));
+}
+
+// Add a joining player to the game and return the player:join reply for them
+function admitPlayer(state, socketId, { id, name, team, deviceId }) {
+  const token = makeToken();
+  // In team mode, join the chosen team or the smallest one
+  const playerTeam = state.teams ? (state.teams.names.includes(team) ? team : autoAssignTeam(state)) : null;
+  state.players.set(socketId, { id, name, team: playerTeam, token, deviceId, connected: true, score: 0, streak: 0, answeredAtMs: null, answer: null, lastCorrect: false });
+  io.in(socketId).socketsJoin(state.id);
+  return { ok: true, gameId: state.id, title: state.title, token, team: playerTeam, teams: state.teams && state.teams.names };
+}
+
+// Let a waiting player in, or turn them away
+function settlePending(state, socketId, approve, reason) {
+  const entry = state.pending.get(socketId);
+  state.pending.delete(socketId);
+  if (approve) io.to(socketId).emit('player:approved', admitPlayer(state, socketId, entry));
+  else io.to(socketId).emit('player:denied', { reason });
+}
+
+// Find a player entry by its public id
+function findPlayerById(state, playerId) {
+  for (const [socketId, p] of state.players) {
+    if (p.id === playerId) return { socketId, player: p };
+  }
+  return null;
+}
+
+// Remove a player from the game, optionally banning their name and device from rejoining
+function kickPlayer(state, socketId, p, ban) {
+  clearTimeout(p.disconnectTimer);
+  state.players.delete(socketId);
+  if (ban) {
+    state.bannedNames.add(p.name.toLowerCase());
+    if (p.deviceId) state.bannedDevices.add(p.deviceId);
+  }
+  io.to(socketId).emit('player:kicked', {
+    reason: ban ? 'The host removed you from this game and you can\'t rejoin.' : 'The host removed you from this game.',
+    banned: !!ban
+  });
+  io.in(socketId).socketsLeave(state.id);
+  if (state.round) {
+    state.round.awaiting.delete(socketId);
+    maybeEndEarly(state);
+  }
+  broadcastLobby(state);
 }
 
 // Start the next question round
 function startQuestion(state) {
+  cancelAdvance(state);
+  if (state.selfPaced) resetIdleTimer(state);
   state.currentIndex++;
   if (state.currentIndex >= state.questions.length) {
     endGame(state);
     return;
   }
   const q = state.questions[state.currentIndex];
-  const startMs = Date.now();
+  // With a reading time the question is shown first; answers (and speed scoring) start after it
+  const readingMs = q.readingTimeSeconds * 1000;
+  const startMs = Date.now() + readingMs;
   const endMs = startMs + q.timeLimitSeconds * 1000;
 
   // reset per-round
   for (const p of state.players.values()) {
     p.answeredAtMs = null;
-    p.selectedOptionId = null;
+    p.answer = null;
     p.lastCorrect = false;
     p.delta = 0; // <-- Track score delta for this round
   }
 
+  // Players still inside their reconnect grace period are not waited for
   state.round = {
     startMs, endMs,
-    timer: setTimeout(() => endRound(state), q.timeLimitSeconds * 1000),
-    awaiting: new Set([...state.players.keys()])
+    open: false, // false during the reading time: options hidden, answers refused
+    pausedAt: null, // set while the host has the clock paused
+    timer: null,
+    awaiting: new Set([...state.players].filter(([, p]) => p.connected).map(([sid]) => sid))
   };
 
-  // Send question payload (do not include correct answers)
-  const safeQ = {
+  if (readingMs === 0) {
+    openRound(state);
+    return;
+  }
+  io.to(state.id).emit('question:preview', { ...getQuestionPreview(state), ...getRoundTiming(state.round) });
+  state.round.timer = setTimeout(() => openRound(state), readingMs);
+}
+
+// Show the options and start the answer clock
+function openRound(state) {
+  state.round.open = true;
+  scheduleRoundEnd(state);
+  io.to(state.id).emit('question:show', { ...getSafeQuestion(state), ...getRoundTiming(state.round) });
+}
+
+// Question payload sent to clients (do not include correct answers)
+function getSafeQuestion(state) {
+  const q = state.questions[state.currentIndex];
+  return {
     id: q.id,
+    type: q.type,
     index: state.currentIndex,
     total: state.questions.length,
     text: q.text,
     imageUrl: q.imageUrl || null,
+    audioUrl: q.audioUrl || null,
+    videoUrl: q.videoUrl || null,
     timeLimitSeconds: q.timeLimitSeconds,
-    options: q.options // {id,label,shape,color}
+    multiplier: q.scoring.multiplier,
+    options: q.type === 'order' ? q.displayOptions : q.options // {id,label,imageUrl}
   };
+}
 
-  io.to(state.id).emit('question:show', safeQ);
+// What is shown during the reading time: the question without its options or clip
+function getQuestionPreview(state) {
+  const { options, audioUrl, videoUrl, ...preview } = getSafeQuestion(state);
+  return preview;
 }
 
 // If all players have answered, end round early
 function maybeEndEarly(state) {
-  if (!state.round) return;
+  if (!state.round || !state.round.open || state.round.pausedAt) return;
   if (state.round.awaiting.size === 0) {
     clearTimeout(state.round.timer);
     endRound(state);
   }
 }
 
+// Time left in the current round; frozen while the round is paused
+function getRemainingMs(round) {
+  return Math.max(0, round.endMs - (round.pausedAt || Date.now()));
+}
+
+// Server-clock deadline of the current round. Clients count down to endMs using their
+// estimated offset from the server clock (see time:ping) rather than their own receipt time.
+function getRoundTiming(round) {
+  return {
+    startMs: round.startMs,
+    endMs: round.endMs,
+    serverNow: Date.now(),
+    remainingMs: getRemainingMs(round),
+    paused: !!round.pausedAt
+  };
+}
+
+// Tell everyone how long the current round has left (after a pause, resume or extra time)
+function broadcastRoundTimer(state) {
+  io.to(state.id).emit('round:timer', getRoundTiming(state.round));
+}
+
+// (Re)start the timer that ends the round at round.endMs
+function scheduleRoundEnd(state) {
+  clearTimeout(state.round.timer);
+  state.round.timer = setTimeout(() => endRound(state), getRemainingMs(state.round));
+}
+
+// Stop the round clock; answers are refused until it resumes
+function pauseRound(state) {
+  if (!state.round || !state.round.open || state.round.pausedAt) return;
+  clearTimeout(state.round.timer);
+  state.round.pausedAt = Date.now();
+  broadcastRoundTimer(state);
+}
+
+// Restart the round clock. The whole round shifts by the length of the pause, so answer
+// times and speed points only count time when the clock was running.
+function resumeRound(state) {
+  const round = state.round;
+  if (!round || !round.pausedAt) return;
+  const pausedFor = Date.now() - round.pausedAt;
+  round.startMs += pausedFor;
+  round.endMs += pausedFor;
+  for (const p of state.players.values()) {
+    if (p.answeredAtMs) p.answeredAtMs += pausedFor;
+  }
+  round.pausedAt = null;
+  scheduleRoundEnd(state);
+  broadcastRoundTimer(state);
+  maybeEndEarly(state); // everyone may have answered or left while paused
+}
+
+// Host dropped out: stop the clock, so nothing opens, closes, gets scored or auto-advances while
+// everyone is told the game is paused. A clock the host had already paused stays theirs to resume.
+function holdForHost(state) {
+  const advance = state.advance;
+  if (advance && advance.pausedLeftMs == null) {
+    pauseAdvance(state);
+    advance.heldForHost = true;
+  }
+  const round = state.round;
+  if (!round) return;
+  if (!round.open) {
+    clearTimeout(round.timer); // reading time: options would otherwise appear
+    round.heldAt = Date.now();
+  } else if (!round.pausedAt) {
+    pauseRound(state);
+    round.heldForHost = true;
+  }
+}
+
+// Host is back: carry on from where holdForHost stopped
+function releaseForHost(state) {
+  if (state.advance && state.advance.heldForHost) resumeAdvance(state);
+  const round = state.round;
+  if (!round) return;
+  if (round.heldAt) {
+    const heldFor = Date.now() - round.heldAt;
+    round.startMs += heldFor;
+    round.endMs += heldFor;
+    round.heldAt = null;
+    round.timer = setTimeout(() => openRound(state), round.startMs - Date.now());
+    io.to(state.id).emit('question:preview', { ...getQuestionPreview(state), ...getRoundTiming(round) });
+  } else if (round.heldForHost) {
+    round.heldForHost = false;
+    resumeRound(state);
+  }
+}
+
+// Give everyone extra seconds on the current question
+function extendRound(state, seconds) {
+  if (!state.round || !state.round.open) return;
+  state.round.endMs += seconds * 1000;
+  if (!state.round.pausedAt) scheduleRoundEnd(state);
+  broadcastRoundTimer(state);
+}
+
+// Drop the current question without scoring it and move on to the next one
+function skipQuestion(state) {
+  if (!state.round) return;
+  clearTimeout(state.round.timer);
+  state.round = null;
+  io.to(state.id).emit('question:skipped', { index: state.currentIndex });
+  startQuestion(state);
+}
+
 // End the current round, calculate scores, and reveal answers
 function endRound(state) {
   if (!state.round) return;
@@ -125,61 +819,326 @@ function endRound(state) {
   const { startMs, endMs } = state.round;
   state.round.timer && clearTimeout(state.round.timer);
 
+  const players = [...state.players.values()];
+  const closestDiff = q.type === 'numeric' && q.closest ? getClosestDiff(q, players) : null;
+
   // Score
-  for (const p of state.players.values()) {
-    const answered = p.selectedOptionId != null;
-    const correct = answered && q.correctOptionIds.includes(p.selectedOptionId);
-    p.lastCorrect = correct;
+  for (const p of players) {
+    const credit = getAnswerCredit(q, p.answer, closestDiff);
+    p.lastCorrect = credit === 1;
+    p.streak = p.lastCorrect ? (p.streak || 0) + 1 : 0;
+    p.streakBonus = p.lastCorrect ? computeStreakBonus(q, p.streak) : 0;
     let delta = 0;
-    if (correct && p.answeredAtMs) {
-      const timeLimit = q.timeLimitSeconds * 1000;
-      const timeRemaining = Math.max(0, endMs - p.answeredAtMs);
-      delta = Math.floor(500 + 500 * (timeRemaining / timeLimit));
+    if (p.answer != null && p.answeredAtMs) {
+      delta = computePoints(q, credit, p.answeredAtMs, startMs, endMs) + p.streakBonus;
       p.score += delta;
     }
     p.delta = delta; // <-- Store delta for this round
   }
 
-  // Count how many players picked each option
-  const optionCounts = {};
-  for (const opt of q.options) {
-    optionCounts[opt.id] = 0;
-  }
-  for (const p of state.players.values()) {
-    if (p.selectedOptionId && optionCounts.hasOwnProperty(p.selectedOptionId)) {
-      optionCounts[p.selectedOptionId]++;
-    }
-  }
-  // Prepare counts array in the same order as q.options
-  const counts = q.options.map(opt => optionCounts[opt.id] || 0);
+  // Keep every answer for the end-of-game report
+  state.history.push({
+    index: state.currentIndex,
+    answers: players.filter(p => p.answer != null).map(p => ({
+      playerId: p.id,
+      name: p.name,
+      team: p.team || null,
+      answer: p.answer,
+      correct: !!p.lastCorrect,
+      points: p.delta,
+      timeMs: p.answeredAtMs - startMs
+    }))
+  });
 
   const leaderboard = getPublicLeaderboard(state);
 
   // Reveal to all
-  io.to(state.id).emit('question:reveal', {
+  state.lastReveal = {
+    type: q.type,
     correctOptionIds: q.correctOptionIds,
     index: state.currentIndex,
     total: state.questions.length,
     leaderboard,
-    counts // <-- send counts array
-  });
+    teamLeaderboard: getTeamLeaderboard(state),
+    stats: getRoundStats(players, startMs),
+    ...summarizeAnswers(q, players, closestDiff) // counts array plus type-specific details
+  };
+  io.to(state.id).emit('question:reveal', state.lastReveal);
+
+  // Each player also learns how their own answer fared
+  for (const [socketId, p] of state.players) {
+    io.to(socketId).emit('player:result', getPlayerResult(p));
+  }
 
   state.round = null;
 
   // Host prompt to continue
   io.to(state.hostSocketId).emit('host:canAdvance', { canAdvance: true });
+  if (state.autoAdvanceMs && !state.selfPaced) scheduleAdvance(state, state.autoAdvanceMs);
+}
+
+// Auto-advance: start the next question once the reveal has been up for msLeft
+function scheduleAdvance(state, msLeft) {
+  clearTimeout(state.advance && state.advance.timer);
+  state.advance = {
+    at: Date.now() + msLeft,
+    final: state.currentIndex + 1 >= state.questions.length, // the podium comes next
+    pausedLeftMs: null,
+    timer: setTimeout(() => startQuestion(state), msLeft)
+  };
+  io.to(state.id).emit('advance:timer', getAdvanceTiming(state.advance));
+}
+
+function cancelAdvance(state) {
+  if (!state.advance) return;
+  clearTimeout(state.advance.timer);
+  state.advance = null;
+}
+
+// Hold the auto-advance countdown until the host resumes it
+function pauseAdvance(state) {
+  const advance = state.advance;
+  if (!advance || advance.pausedLeftMs != null) return;
+  clearTimeout(advance.timer);
+  advance.pausedLeftMs = Math.max(0, advance.at - Date.now());
+  io.to(state.id).emit('advance:timer', getAdvanceTiming(advance));
+}
+
+function resumeAdvance(state) {
+  if (!state.advance || state.advance.pausedLeftMs == null) return;
+  scheduleAdvance(state, state.advance.pausedLeftMs);
+}
+
+// Auto-advance countdown as sent to clients: the next question starts at `at` (server clock)
+function getAdvanceTiming(advance) {
+  const paused = advance.pausedLeftMs != null;
+  return {
+    at: advance.at,
+    final: advance.final,
+    serverNow: Date.now(),
+    remainingMs: paused ? advance.pausedLeftMs : Math.max(0, advance.at - Date.now()),
+    paused
+  };
 }
 
 // End the game and show final leaderboard
 function endGame(state) {
+  cancelAdvance(state);
+  clearTimeout(state.idleTimer);
+  if (state.round) {
+    // Ending early: the unfinished question is not scored
+    clearTimeout(state.round.timer);
+    state.round = null;
+  }
   const leaderboard = getPublicLeaderboard(state);
-  io.to(state.id).emit('game:over', { leaderboard });
+  io.to(state.id).emit('game:over', { leaderboard, teamLeaderboard: getTeamLeaderboard(state), awards: getAwards(state) });
+  // Each player also gets their own rank and question-by-question results
+  const ranked = [...state.players].sort(([, a], [, b]) => b.score - a.score);
+  ranked.forEach(([socketId, p], i) => {
+    io.to(socketId).emit('player:summary', getPlayerSummary(state, p, i + 1));
+  });
   games.delete(state.id);
+  if (state.assignment) recordAttempt(state);
+  else saveResults(state);
+}
+
+// Homework has no host to end it, so a game left open on a reveal would count against MAX_GAMES forever
+function resetIdleTimer(state) {
+  clearTimeout(state.idleTimer);
+  state.idleTimer = setTimeout(() => {
+    if (games.get(state.id) === state) endGame(state);
+  }, SELF_PACED_IDLE_MS);
+}
+
+// Store a finished homework attempt with its assignment, for the host's combined results
+async function recordAttempt(state) {
+  const attempt = state.attempt;
+  try {
+    const report = results.buildGameReport(state, {});
+    const player = report.players[0];
+    Object.assign(attempt, {
+      finishedAt: new Date().toISOString(),
+      score: player ? player.score : 0,
+      questions: report.questions.map(({ id, type, text, correctAnswer }) => ({ id, type, text, correctAnswer })),
+      answers: player ? player.answers : []
+    });
+    await assignments.saveAssignment(state.assignment);
+  } catch (e) {
+    console.error('Failed to save homework attempt', e);
+  }
+}
+
+// Store the finished game's report and tell the host where to download it
+async function saveResults(state) {
+  if (state.history.length === 0) return;
+  const id = `${Date.now()}-${state.id}`;
+  const key = makeToken();
+  try {
+    await results.saveReport(results.buildGameReport(state, { id, key }));
+    io.to(state.hostSocketId).emit('host:results', { resultId: id, key });
+  } catch (e) {
+    console.error('Failed to save game results', e);
+  }
+}
+
+// End-of-game awards: [{type, names, value}] for each award someone won.
+// fastest = lowest average answer time (ms), among players who answered at least half the questions;
+// streak = most correct answers in a row; improved = places climbed since the first question;
+// perfect = every question right (value is the question count)
+function getAwards(state) {
+  const players = [...state.players.values()];
+  const rounds = state.history;
+  if (rounds.length === 0 || players.length === 0) return [];
+  const answersOf = p => rounds.map(h => h.answers.find(a => a.playerId === p.id) || null);
+  const awards = [];
+  // Everyone tied for the best value shares the award
+  const award = (type, scored, better) => {
+    const eligible = scored.filter(x => x.value != null);
+    if (!eligible.length) return;
+    const best = eligible.reduce((b, x) => (better(x.value, b) ? x.value : b), eligible[0].value);
+    awards.push({ type, names: eligible.filter(x => x.value === best).map(x => x.name), value: best });
+  };
+
+  award('fastest', players.map(p => {
+    const times = answersOf(p).filter(Boolean).map(a => a.timeMs);
+    const value = times.length >= Math.ceil(rounds.length / 2)
+      ? Math.round(times.reduce((a, b) => a + b, 0) / times.length)
+      : null;
+    return { name: p.name, value };
+  }), (a, b) => a < b);
+
+  award('streak', players.map(p => {
+    let run = 0;
+    let longest = 0;
+    for (const a of answersOf(p)) {
+      run = a && a.correct ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+    return { name: p.name, value: longest >= 2 ? longest : null };
+  }), (a, b) => a > b);
+
+  if (rounds.length >= 2 && players.length >= 2) {
+    const rankBy = score => p => 1 + players.filter(o => score(o) > score(p)).length;
+    const firstScore = p => (answersOf(p)[0] || { points: 0 }).points;
+    const firstRank = rankBy(firstScore);
+    const finalRank = rankBy(p => p.score);
+    award('improved', players.map(p => {
+      const climbed = firstRank(p) - finalRank(p);
+      return { name: p.name, value: climbed > 0 ? climbed : null };
+    }), (a, b) => a > b);
+  }
+
+  const perfect = players.filter(p => answersOf(p).every(a => a && a.correct));
+  if (perfect.length) awards.push({ type: 'perfect', names: perfect.map(p => p.name), value: rounds.length });
+  return awards;
+}
+
+// A player's own end-of-game summary: final rank, accuracy and points per question
+function getPlayerSummary(state, p, rank) {
+  const questions = state.history.map(h => {
+    const a = h.answers.find(x => x.playerId === p.id);
+    return {
+      index: h.index,
+      text: state.questions[h.index].text,
+      answered: !!a,
+      correct: !!(a && a.correct),
+      points: a ? a.points : 0
+    };
+  });
+  const correct = questions.filter(q => q.correct).length;
+  return {
+    rank,
+    players: state.players.size,
+    score: p.score,
+    correct,
+    total: questions.length,
+    accuracy: questions.length ? Math.round((correct / questions.length) * 100) : 0,
+    questions
+  };
+}
+
+// Per-question analytics for the host: accuracy, response times and the fastest correct player
+function getRoundStats(players, startMs) {
+  const answered = players.filter(p => p.answer != null && p.answeredAtMs);
+  const times = answered.map(p => p.answeredAtMs - startMs);
+  const correct = answered.filter(p => p.lastCorrect);
+  const fastest = correct.reduce((best, p) => (!best || p.answeredAtMs < best.answeredAtMs ? p : best), null);
+  return {
+    players: players.length,
+    answered: answered.length,
+    noAnswer: players.length - answered.length,
+    correct: correct.length,
+    percentCorrect: players.length ? Math.round((correct.length / players.length) * 100) : 0,
+    avgTimeMs: times.length ? Math.round(times.reduce((a, b) => a + b, 0) / times.length) : null,
+    fastestTimeMs: times.length ? Math.min(...times) : null,
+    fastestCorrect: fastest ? { name: fastest.name, timeMs: fastest.answeredAtMs - startMs } : null
+  };
+}
+
+// Private per-round outcome for one player
+function getPlayerResult(p) {
+  return {
+    answered: p.answer != null,
+    correct: !!p.lastCorrect,
+    delta: p.delta || 0,
+    score: p.score,
+    streak: p.streak || 0,
+    streakBonus: p.streakBonus || 0
+  };
+}
+
+// Find a player entry by its resume token
+function findPlayerByToken(state, token) {
+  if (typeof token !== 'string' || !token) return null;
+  for (const [socketId, p] of state.players) {
+    if (p.token === token) return { socketId, player: p };
+  }
+  return null;
+}
+
+// Describe where the game is so a resuming player can rebuild their screen
+function getResumeSnapshot(state, p) {
+  if (!state.started) return { phase: 'lobby' };
+  if (state.round && !state.round.open) {
+    return { phase: 'preview', question: getQuestionPreview(state), ...getRoundTiming(state.round) };
+  }
+  if (state.round) {
+    return {
+      phase: 'question',
+      question: getSafeQuestion(state),
+      ...getRoundTiming(state.round),
+      answer: p.answer
+    };
+  }
+  return {
+    phase: 'reveal', question: getSafeQuestion(state), reveal: state.lastReveal, answer: p.answer, result: getPlayerResult(p),
+    advance: state.advance && getAdvanceTiming(state.advance)
+  };
+}
+
+// Describe where the game is so a resuming host can rebuild their screen
+function getHostResumeSnapshot(state) {
+  if (!state.started) return { phase: 'lobby' };
+  if (state.round && !state.round.open) {
+    return { phase: 'preview', question: getQuestionPreview(state), ...getRoundTiming(state.round) };
+  }
+  if (state.round) {
+    return {
+      phase: 'question',
+      question: getSafeQuestion(state),
+      ...getRoundTiming(state.round)
+    };
+  }
+  return { phase: 'reveal', question: getSafeQuestion(state), reveal: state.lastReveal, advance: state.advance && getAdvanceTiming(state.advance) };
 }
 
 // Simple rate limiting per IP
 function rateLimit(socket, eventName) {
-  const ip = socket.handshake.address;
+  return checkRateLimit(socket.handshake.address);
+}
+
+// Record a hit for this IP and report whether it is still within the limit
+function checkRateLimit(ip) {
   const now = Date.now();
   if (!rateLimitMap.has(ip)) {
     rateLimitMap.set(ip, []);
@@ -195,39 +1154,6 @@ function rateLimit(socket, eventName) {
   return true;
 }
 
-// Validate quiz JSON payload
-function validateQuizPayload(payload) {
-  if (!payload || typeof payload !== 'object') return false;
-  if (!Array.isArray(payload.questions) || payload.questions.length === 0) return false;
-  if (typeof payload.title !== 'string' || !payload.title.trim()) return false;
-  for (const q of payload.questions) {
-    if (!q || typeof q !== 'object') return false;
-    if (typeof q.id !== 'string' || !q.id.trim()) return false;
-    if (typeof q.text !== 'string' || !q.text.trim()) return false;
-    if (!Array.isArray(q.options) || q.options.length < 2) return false;
-    for (const opt of q.options) {
-      if (!opt || typeof opt !== 'object') return false;
-      if (typeof opt.id !== 'string' || !opt.id.trim()) return false;
-      if (typeof opt.label !== 'string' || !opt.label.trim()) return false;
-    }
-    if (!Array.isArray(q.correctOptionIds) || q.correctOptionIds.length === 0) return false;
-    for (const cid of q.correctOptionIds) {
-      if (typeof cid !== 'string' || !cid.trim()) return false;
-    }
-  }
-  return true;
-}
-
-// Sanitize player name input
-function sanitizeName(name) {
-  // Remove HTML tags and limit to 20 chars, allow only basic printable chars
-  return String(name)
-    .replace(/<[^>]*>/g, '')
-    .replace(/[^\w\s\-'.!]/g, '')
-    .slice(0, 20)
-    .trim();
-}
-
 // Handle socket connections
 io.on('connection', (socket) => {
   // Rate limit all socket events
@@ -239,9 +1165,18 @@ io.on('connection', (socket) => {
       }
       return;
     }
+    // Handlers destructure the payload, so a missing one must not reach them (it would throw and stop the server)
+    if (typeof args[0] === 'function') args.unshift({}); // only an ack was sent
+    else if (args[0] == null) args[0] = {};
     handler(...args);
   };
 
+  // Clock sync: clients time a few of these round trips to estimate their offset from the
+  // server clock. Not rate limited, as every client sends a handful each half minute.
+  socket.on('time:ping', (ack) => {
+    if (typeof ack === 'function') ack({ serverNow: Date.now() });
+  });
+
   // Host creates a new game from JSON
   socket.on('host:createGame', wrapRateLimit((payload, ack) => {
     // Limit number of games
@@ -250,26 +1185,48 @@ io.on('connection', (socket) => {
       return;
     }
     // Validate JSON
-    if (!validateQuizPayload(payload)) {
-      ack && ack({ ok: false, error: 'Invalid quiz JSON format.' });
+    const errors = validateQuiz(payload);
+    if (errors.length) {
+      ack && ack({ ok: false, error: 'Invalid quiz JSON format.', errors });
       return;
     }
     try {
       const state = createGameState(socket.id, payload);
       games.set(state.id, state);
       socket.join(state.id);
-      ack && ack({ ok: true, gameId: state.id });
+      ack && ack({ ok: true, gameId: state.id, hostToken: state.hostToken });
       broadcastLobby(state);
     } catch (e) {
       ack && ack({ ok: false, error: 'Invalid JSON format' });
     }
   }, 'host:createGame'));
 
+  // Host returns after a reload with the token from host:createGame
+  socket.on('host:resume', wrapRateLimit(({ gameId, hostToken }, ack) => {
+    const state = games.get(gameId);
+    if (!state || typeof hostToken !== 'string' || hostToken !== state.hostToken) {
+      ack && ack({ ok: false, error: 'Game not found' });
+      return;
+    }
+    clearTimeout(state.hostDisconnectTimer);
+    state.hostDisconnectTimer = null;
+    state.hostConnected = true;
+    state.hostSocketId = socket.id;
+    socket.join(state.id);
+    releaseForHost(state);
+
+    ack && ack({ ok: true, gameId: state.id, title: state.title, ...getHostResumeSnapshot(state) });
+    io.to(state.id).emit('game:resumed');
+    broadcastLobby(state);
+  }, 'host:resume'));
+
   // Host starts the game
   socket.on('host:startGame', wrapRateLimit(({ gameId }) => {
     const state = games.get(gameId);
     if (!state || state.hostSocketId !== socket.id || state.started) return;
     state.started = true;
+    state.startedAt = Date.now();
+    for (const socketId of state.pending.keys()) settlePending(state, socketId, false, 'The game has already started.');
     io.to(state.id).emit('game:started', { title: state.title });
     startQuestion(state);
   }, 'host:startGame'));
@@ -278,69 +1235,409 @@ io.on('connection', (socket) => {
   socket.on('host:next', wrapRateLimit(({ gameId }) => {
     const state = games.get(gameId);
     if (!state || state.hostSocketId !== socket.id) return;
+    if (state.round) return; // a question (or its reading time) is still running
     startQuestion(state);
   }, 'host:next'));
 
+  // Host pauses or resumes the question timer
+  socket.on('host:pauseTimer', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    pauseRound(state);
+  }, 'host:pauseTimer'));
+
+  socket.on('host:resumeTimer', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    resumeRound(state);
+  }, 'host:resumeTimer'));
+
+  // Host holds or restarts the auto-advance countdown after a reveal
+  socket.on('host:pauseAdvance', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    pauseAdvance(state);
+  }, 'host:pauseAdvance'));
+
+  socket.on('host:resumeAdvance', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    resumeAdvance(state);
+  }, 'host:resumeAdvance'));
+
+  // Host adds extra seconds to the current question
+  socket.on('host:addTime', wrapRateLimit(({ gameId, seconds }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    const extra = Math.floor(Number(seconds));
+    if (!(extra >= 1 && extra <= MAX_EXTRA_SECONDS)) return;
+    extendRound(state, extra);
+  }, 'host:addTime'));
+
+  // Host closes the question now and reveals the answers
+  socket.on('host:closeQuestion', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id || !state.round || !state.round.open) return;
+    clearTimeout(state.round.timer);
+    endRound(state);
+  }, 'host:closeQuestion'));
+
+  // Host skips the current question without scoring it
+  socket.on('host:skipQuestion', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    skipQuestion(state);
+  }, 'host:skipQuestion'));
+
+  // Host ends the game early and goes straight to the podium
+  socket.on('host:endGame', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id || !state.started) return;
+    endGame(state);
+  }, 'host:endGame'));
+
+  // Host locks the lobby or switches the approval step on and off
+  socket.on('host:setLobby', wrapRateLimit(({ gameId, locked, requireApproval }, ack) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    if (typeof locked === 'boolean') state.lobbyLocked = locked;
+    if (typeof requireApproval === 'boolean') state.requireApproval = requireApproval;
+    // Nobody is left waiting once approval is off
+    if (!state.requireApproval) {
+      for (const socketId of state.pending.keys()) settlePending(state, socketId, true);
+    }
+    ack && ack({ ok: true, locked: state.lobbyLocked, requireApproval: state.requireApproval });
+    broadcastLobby(state);
+  }, 'host:setLobby'));
+
+  // Host lets a waiting player in or turns them away
+  socket.on('host:approvePlayer', wrapRateLimit(({ gameId, playerId, approve }, ack) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    const socketId = [...state.pending].find(([, p]) => p.id === playerId)?.[0];
+    if (!socketId) {
+      ack && ack({ ok: false, error: 'Player not found' });
+      return;
+    }
+    settlePending(state, socketId, !!approve, 'The host didn\'t let you into this game.');
+    ack && ack({ ok: true });
+    broadcastLobby(state);
+  }, 'host:approvePlayer'));
+
+  // Host removes a player, optionally banning them from rejoining this game
+  socket.on('host:kickPlayer', wrapRateLimit(({ gameId, playerId, ban }, ack) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    const found = findPlayerById(state, playerId);
+    if (!found) {
+      ack && ack({ ok: false, error: 'Player not found' });
+      return;
+    }
+    kickPlayer(state, found.socketId, found.player, ban);
+    ack && ack({ ok: true });
+  }, 'host:kickPlayer'));
+
+  // Host changes a player's name (e.g. an offensive one)
+  socket.on('host:renamePlayer', wrapRateLimit(({ gameId, playerId, name }, ack) => {
+    const state = games.get(gameId);
+    if (!state || state.hostSocketId !== socket.id) return;
+    const found = findPlayerById(state, playerId);
+    if (!found) {
+      ack && ack({ ok: false, error: 'Player not found' });
+      return;
+    }
+    const safeName = sanitizeName(name || '');
+    if (!safeName) {
+      ack && ack({ ok: false, error: 'Enter a name' });
+      return;
+    }
+    if (getTakenNames(state, found.player).has(safeName.toLowerCase())) {
+      ack && ack({ ok: false, error: `"${safeName}" is already taken` });
+      return;
+    }
+    found.player.name = safeName;
+    io.to(found.socketId).emit('player:renamed', { name: safeName });
+    ack && ack({ ok: true, name: safeName });
+    broadcastLobby(state);
+  }, 'host:renamePlayer'));
+
   // Player joins with name via link
-  socket.on('player:join', wrapRateLimit(({ gameId, name }, ack) => {
+  socket.on('player:join', wrapRateLimit(({ gameId, name, team, deviceId }, ack) => {
     const state = games.get(gameId);
     if (!state || state.started) {
       ack && ack({ ok: false, error: 'Game not found or already started' });
       return;
     }
+    if (state.lobbyLocked) {
+      ack && ack({ ok: false, error: 'The host has locked this game.' });
+      return;
+    }
     // Limit players per game
-    if (state.players.size >= MAX_PLAYERS_PER_GAME) {
+    if (isGameFull(state)) {
       ack && ack({ ok: false, error: 'Game is full.' });
       return;
     }
+    if (state.players.has(socket.id) || state.pending.has(socket.id)) {
+      ack && ack({ ok: false, error: 'Already joined' });
+      return;
+    }
     // Sanitize name
-    const safeName = sanitizeName(name);
-    socket.join(gameId);
-    state.players.set(socket.id, { name: safeName, score: 0, answeredAtMs: null, selectedOptionId: null, lastCorrect: false });
-    ack && ack({ ok: true, gameId, title: state.title });
+    const safeName = sanitizeName(name || '');
+    if (!safeName) {
+      ack && ack({ ok: false, error: 'Enter a name using letters or numbers.' });
+      return;
+    }
+    if (isBlockedName(name || '')) {
+      ack && ack({ ok: false, error: 'That name isn\'t allowed. Please choose another.' });
+      return;
+    }
+    const device = typeof deviceId === 'string' ? deviceId.slice(0, 64) : null;
+    if (state.bannedNames.has(safeName.toLowerCase()) || (device && state.bannedDevices.has(device))) {
+      ack && ack({ ok: false, error: 'You can\'t join this game.' });
+      return;
+    }
+    const taken = getTakenNames(state);
+    if (taken.has(safeName.toLowerCase())) {
+      const suggestion = suggestName(safeName, taken);
+      ack && ack({ ok: false, error: `"${safeName}" is already taken. How about "${suggestion}"?`, suggestion });
+      return;
+    }
+    const entry = { id: state.nextPlayerId++, name: safeName, team, deviceId: device };
+    if (state.requireApproval) {
+      state.pending.set(socket.id, entry);
+      ack && ack({ ok: true, pending: true, gameId, title: state.title });
+    } else {
+      ack && ack(admitPlayer(state, socket.id, entry));
+    }
     broadcastLobby(state);
   }, 'player:join'));
 
-  // Player submits answer
-  socket.on('player:answer', wrapRateLimit(({ gameId, questionId, optionId }) => {
+  // Big-screen display joins the room to show the game. It is not a player: it never enters
+  // state.players, so it is not counted in the lobby or waited for in a round.
+  socket.on('display:watch', wrapRateLimit(({ gameId }, ack) => {
     const state = games.get(gameId);
-    if (!state || !state.round) return;
-    const p = state.players.get(socket.id);
-    if (!p) return;
+    if (!state || state.selfPaced) {
+      ack && ack({ ok: false, error: 'Game not found' });
+      return;
+    }
+    socket.join(state.id);
+    ack && ack({
+      ok: true, gameId: state.id, title: state.title, hostConnected: state.hostConnected,
+      lobby: getLobby(state),
+      ...getHostResumeSnapshot(state)
+    });
+  }, 'display:watch'));
+
+  // Player starts a homework quiz: a one-player game they move through at their own pace
+  socket.on('assignment:start', wrapRateLimit(async (payload, ack) => {
+    try {
+      const { assignmentId, name, deviceId } = payload || {};
+      const assignment = typeof assignmentId === 'string' ? await assignments.loadAssignment(assignmentId) : null;
+      if (!assignment) {
+        ack && ack({ ok: false, error: 'Homework not found' });
+        return;
+      }
+      if (!assignments.isOpen(assignment)) {
+        ack && ack({ ok: false, error: 'The deadline for this homework has passed.' });
+        return;
+      }
+      if (games.size >= MAX_GAMES) {
+        ack && ack({ ok: false, error: 'Too many games running. Try again later.' });
+        return;
+      }
+      const safeName = sanitizeName(name || '');
+      if (!safeName) {
+        ack && ack({ ok: false, error: 'Enter a name using letters or numbers.' });
+        return;
+      }
+      if (isBlockedName(name || '')) {
+        ack && ack({ ok: false, error: 'That name isn\'t allowed. Please choose another.' });
+        return;
+      }
+      const device = typeof deviceId === 'string' ? deviceId.slice(0, 64) : null;
+      if (device && assignment.attempts.some(a => a.deviceId === device)) {
+        ack && ack({ ok: false, error: 'You have already taken this quiz.' });
+        return;
+      }
+      const taken = new Set(assignment.attempts.map(a => a.name.toLowerCase()));
+      if (taken.has(safeName.toLowerCase())) {
+        const suggestion = suggestName(safeName, taken);
+        ack && ack({ ok: false, error: `"${safeName}" has already taken this quiz. If that's someone else, try "${suggestion}".`, suggestion });
+        return;
+      }
+
+      const state = createGameState(null, assignment.quiz);
+      state.assignment = assignment;
+      state.selfPaced = true; // the player moves on with player:next instead of the host
+      state.idleTimer = null; // ends the game if the player stops moving on
+      games.set(state.id, state);
+      const reply = admitPlayer(state, socket.id, { id: state.nextPlayerId++, name: safeName, team: null, deviceId: device });
+      // Kept on the game so the finished attempt updates this row (game ids get reused)
+      state.attempt = {
+        id: assignment.attempts.length + 1,
+        name: safeName,
+        deviceId: device,
+        gameId: state.id,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        score: 0,
+        answers: []
+      };
+      assignment.attempts.push(state.attempt);
+      assignments.saveAssignment(assignment).catch(e => console.error('Failed to save homework attempt', e));
+
+      state.started = true;
+      state.startedAt = Date.now();
+      ack && ack({ ...reply, deadline: assignment.deadline });
+      io.to(socket.id).emit('game:started', { title: state.title });
+      startQuestion(state);
+    } catch (e) {
+      // e.g. an unreadable assignment file; a rejected handler would take the server down
+      console.error('Failed to start homework attempt', e);
+      ack && ack({ ok: false, error: 'Could not start the homework. Try again later.' });
+    }
+  }, 'assignment:start'));
+
+  // Self-paced player moves on after seeing a question's answer; no new questions after the deadline
+  socket.on('player:next', wrapRateLimit(({ gameId }) => {
+    const state = games.get(gameId);
+    if (!state || !state.selfPaced || !state.players.has(socket.id) || state.round) return;
+    if (!assignments.isOpen(state.assignment)) endGame(state);
+    else startQuestion(state);
+  }, 'player:next'));
+
+  // Player switches team while still in the lobby
+  socket.on('player:setTeam', wrapRateLimit(({ gameId, team }, ack) => {
+    const state = games.get(gameId);
+    const p = state && state.players.get(socket.id);
+    if (!p || !state.teams || state.started || !state.teams.names.includes(team)) {
+      ack && ack({ ok: false, error: 'Cannot change team now' });
+      return;
+    }
+    p.team = team;
+    ack && ack({ ok: true, team });
+    broadcastLobby(state);
+  }, 'player:setTeam'));
+
+  // Player returns after a dropped connection with the token from player:join
+  socket.on('player:resume', wrapRateLimit(({ gameId, token }, ack) => {
+    const state = games.get(gameId);
+    const found = state && findPlayerByToken(state, token);
+    if (!found) {
+      ack && ack({ ok: false, error: 'Session expired' });
+      return;
+    }
+    const { socketId: oldSocketId, player: p } = found;
+    clearTimeout(p.disconnectTimer);
+    p.disconnectTimer = null;
+    p.connected = true;
+
+    // Rebind the entry to the new socket id
+    state.players.delete(oldSocketId);
+    state.players.set(socket.id, p);
+    if (state.round) {
+      state.round.awaiting.delete(oldSocketId);
+      if (p.answer == null) state.round.awaiting.add(socket.id);
+    }
+    socket.join(gameId);
 
+    ack && ack({
+      ok: true, gameId, title: state.title, name: p.name, score: p.score,
+      team: p.team, teams: state.teams && state.teams.names,
+      ...getResumeSnapshot(state, p)
+    });
+    broadcastLobby(state);
+  }, 'player:resume'));
+
+  // Player submits answer
+  socket.on('player:answer', wrapRateLimit(({ gameId, questionId, optionId, answer }, ack) => {
+    const state = games.get(gameId);
+    const p = state && state.players.get(socket.id);
+    if (!p) {
+      ack && ack({ ok: false, error: 'You are not in this game.' });
+      return;
+    }
     const q = state.questions[state.currentIndex];
-    if (!q || q.id !== questionId) return;
-    if (p.selectedOptionId != null) return; // already answered
+    // The round closed (or moved on) before the answer arrived
+    if (!state.round || !q || q.id !== questionId || (!state.round.pausedAt && Date.now() > state.round.endMs)) {
+      ack && ack({ ok: false, error: 'Time was up before your answer arrived.' });
+      return;
+    }
+    if (p.answer != null) {
+      ack && ack({ ok: false, error: 'You have already answered.' });
+      return;
+    }
+    if (!state.round.open) {
+      ack && ack({ ok: false, error: 'Wait for the options to appear.' });
+      return;
+    }
+    if (state.round.pausedAt) {
+      ack && ack({ ok: false, error: 'The game is paused. Answer once it resumes.' });
+      return;
+    }
+
+    // optionId for single-choice questions, answer for all other types
+    const normalized = normalizeAnswer(q, { optionId, answer });
+    if (normalized == null) {
+      ack && ack({ ok: false, error: 'That answer is not valid for this question.' });
+      return;
+    }
 
-    p.selectedOptionId = optionId;
+    p.answer = normalized;
     p.answeredAtMs = Date.now();
     state.round.awaiting.delete(socket.id);
+    ack && ack({ ok: true });
 
     // Notify player they locked in
-    io.to(socket.id).emit('player:locked', { optionId });
+    io.to(socket.id).emit('player:locked', { answer: normalized });
 
     // If all answered, end early
     maybeEndEarly(state);
   }, 'player:answer'));
 
   socket.on('disconnect', () => {
-    // Remove player or end game if host leaves
+    // Hold the seat of a player or pause the game if the host leaves
     for (const [gameId, state] of games) {
       if (state.hostSocketId === socket.id) {
-        io.to(state.id).emit('game:cancelled', { reason: 'Host disconnected' });
-        games.delete(gameId);
+        // Pause rather than delete; cancel only if the host doesn't come back in time
+        state.hostConnected = false;
+        holdForHost(state);
+        io.to(state.id).emit('game:paused', { reason: 'Host disconnected. Waiting for them to reconnect…' });
+        state.hostDisconnectTimer = setTimeout(() => {
+          if (games.get(gameId) !== state || state.hostConnected) return;
+          if (state.round) clearTimeout(state.round.timer);
+          cancelAdvance(state);
+          io.to(state.id).emit('game:cancelled', { reason: 'Host disconnected' });
+          games.delete(gameId);
+        }, HOST_RECONNECT_GRACE_MS);
         break;
       }
-      if (state.players.has(socket.id)) {
-        state.players.delete(socket.id);
-        broadcastLobby(state);
-        // If no players remain and game hasn’t started, keep lobby; if in-round and all left, end round
-        if (state.round && state.players.size === 0) {
-          clearTimeout(state.round.timer);
-          endRound(state);
+      const p = state.players.get(socket.id);
+      if (p) {
+        // Keep the seat (name and score) for a grace period so the player can resume
+        p.connected = false;
+        io.to(state.hostSocketId).emit('host:roster', getRoster(state));
+        p.disconnectTimer = setTimeout(() => {
+          if (state.players.get(socket.id) !== p) return; // resumed on another socket
+          // A self-paced game ends for good once its only player is gone
+          if (state.selfPaced) {
+            endGame(state);
+            return;
+          }
+          state.players.delete(socket.id);
+          broadcastLobby(state);
+        }, PLAYER_RECONNECT_GRACE_MS);
+        // Don't hold the round open for a player who is gone
+        if (state.round) {
+          state.round.awaiting.delete(socket.id);
+          maybeEndEarly(state);
         }
         break;
       }
+      if (state.pending.delete(socket.id)) {
+        broadcastLobby(state);
+        break;
+      }
     }
   });
 });